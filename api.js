@@ -7,22 +7,64 @@ const fs = require('fs').promises;
 
 const { requireAuth } = require('./auth');
 const { getDB } = require('./db');
-const { uploadProcessor } = require('./upload');
+const {
+  uploadProcessor,
+  UploadError,
+  getFileExtension,
+  UPLOAD_TYPES,
+  SINGLE_FILE_EXTENSIONS,
+  INVALID_FILE_TYPE_MESSAGE,
+  SANITIZE_PROFILES,
+  DEFAULT_SANITIZE_PROFILE,
+  getSiteSanitizeProfile,
+  isTrustedUser,
+  ARCHIVE_LIMITS
+} = require('./upload');
+const { storage: siteStorage } = require('./storage');
+const { deploymentManager } = require('./deployments');
 const { hashPasscode, isValidPasscode } = require('./password-protected');
+const { toSqlDatetime, getScheduledStatus } = require('./scheduler');
+const { gitDeployManager, BRANCH_PATTERN } = require('./git-deploy');
+const { uploadSessionManager, UPLOAD_CHUNK_BYTES } = require('./upload-sessions');
+const { jobManager } = require('./jobs');
+const { parseCacheControl, validateCacheControl } = require('./http-cache');
+const { ROUTING_MODES, TRAILING_SLASH_POLICIES, getSiteUrl } = require('./subdomain');
+const { siteRules } = require('./site-rules');
 
 /**
  * API routes module for Tinny
  * 
  * Handles:
  * - POST /api/sites/check-subdomain - Check subdomain availability
- * - POST /api/upload - Upload and deploy HTML/ZIP files
+ * - POST /api/upload - Upload HTML/ZIP/tar.gz files, PDFs, images, Markdown or a folder; deploys in a background job
+ * - GET /api/jobs/:jobId - Get background job status
+ * - GET /api/jobs/:jobId/events - Stream background job progress (Server-Sent Events)
+ * - POST /api/uploads - Start a resumable (chunked) upload session
+ * - GET /api/uploads/:sessionId - Get upload session progress
+ * - PUT /api/uploads/:sessionId?offset=N - Upload a chunk at a byte offset
+ * - DELETE /api/uploads/:sessionId - Cancel an upload session
  * - GET /api/sites - List user's sites
  * - GET /api/sites/:siteId - Get site details
  * - GET /api/sites/:siteId/files - List site files
  * - GET /api/sites/:siteId/files/:filename - Get file content
  * - PUT /api/sites/:siteId/files/:filename - Update file content
+ * - PUT /api/sites/:siteId/content - Redeploy new content to an existing site
+ * - POST /api/sites/:siteId/previews - Upload new content as an expiring preview
+ * - GET /api/sites/:siteId/deployments - List deployment history
+ * - GET /api/sites/:siteId/usage - Get logical and physical storage usage
+ * - GET /api/sites/:siteId/sanitize-report - Get what sanitization removed from a deployment
+ * - GET /api/sites/:siteId/link-report - Get broken links and missing assets found in a deployment
+ * - POST /api/sites/:siteId/deployments/:deploymentId/rollback - Roll back to a deployment
+ * - POST /api/sites/:siteId/deployments/:deploymentId/promote - Promote a preview to production
+ * - PUT /api/sites/:siteId/settings - Update site settings (publish/expiry schedule, git branch, sanitization profile, asset optimization, caching, routing mode, clean URLs, trailing slashes)
  * - PUT /api/sites/:siteId/password - Set/update password protection
  * - DELETE /api/sites/:siteId/password - Remove password protection
+ * - GET /api/tokens - List deploy tokens
+ * - POST /api/tokens - Create a deploy token (for git push)
+ * - DELETE /api/tokens/:tokenId - Revoke a deploy token
+ * - GET /api/account - Get the current user's role and trusted HTML approval
+ * - GET /api/admin/users - List users (admin only)
+ * - PUT /api/admin/users/:userId/trusted - Approve/revoke trusted HTML (admin only)
  * - DELETE /api/sites/:siteId - Delete site
  */
 
@@ -57,25 +99,139 @@ const upload = multer({
   storage: storage,
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB max (will be validated more strictly per type)
-    files: 1
+    files: ARCHIVE_LIMITS.maxEntries + 1
   },
   fileFilter: (req, file, cb) => {
+    // Folder upload files are checked like archive entries during processing
+    // (OS metadata such as .DS_Store is skipped there rather than rejected).
+    // Their total is only bounded by limitUploadRequest, so the length must be declared.
+    if (file.fieldname === 'files') {
+      if (!parseInt(req.headers['content-length'])) {
+        return cb(new UploadError('Content-Length header is required for folder uploads', 'LENGTH_REQUIRED', {}, 411));
+      }
+      return cb(null, true);
+    }
+
     // Basic file type check
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (['.html', '.htm', '.zip'].includes(ext)) {
+    const ext = getFileExtension(file.originalname);
+    if (SINGLE_FILE_EXTENSIONS.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only HTML and ZIP files are allowed.'));
+      cb(new Error(INVALID_FILE_TYPE_MESSAGE));
     }
   }
 });
 
+// Upload requests larger than this are refused before multer writes anything
+// (the archive size limit plus room for multipart headers of a folder upload)
+const MAX_UPLOAD_REQUEST_BYTES = ARCHIVE_LIMITS.maxUncompressedBytes + 1024 * 1024;
+
+// Multipart fields: one 'file', or a folder upload as 'files' with a 'paths'
+// field per file holding its relative path (webkitRelativePath)
+const uploadFields = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: ARCHIVE_LIMITS.maxEntries }
+]);
+
+// Refuse oversized upload bodies up front. A single file sent without a
+// Content-Length (chunked encoding) is bounded by multer's file size limit;
+// folder uploads must declare one (see the fileFilter)
+function limitUploadRequest(req, res, next) {
+  const length = parseInt(req.headers['content-length']);
+  if (length > MAX_UPLOAD_REQUEST_BYTES) {
+    return res.status(413).json({ error: `Upload too large. Maximum request size is ${MAX_UPLOAD_REQUEST_BYTES} bytes` });
+  }
+  next();
+}
+
+// Expose the upload as req.file: the single 'file', or for a folder upload
+// { originalname, size, files: [{ path, size, relativePath }] }
+async function collectUploadedFiles(req, res, next) {
+  const fields = req.files || {};
+  const single = fields.file ? fields.file[0] : null;
+  const folderFiles = fields.files || [];
+  const paths = [].concat(req.body.paths || []);
+
+  if (single && folderFiles.length > 0) {
+    await Promise.all([single, ...folderFiles].map(file => fs.rm(file.path, { force: true })));
+    return res.status(400).json({ error: 'Send either file or files, not both' });
+  }
+
+  // Each folder file is followed by its relative path; a missing or extra one
+  // would shift every later file onto the wrong path
+  if (folderFiles.length > 0 && paths.length !== folderFiles.length) {
+    await Promise.all(folderFiles.map(file => fs.rm(file.path, { force: true })));
+    return res.status(400).json({ error: `Expected one path per file, got ${paths.length} paths for ${folderFiles.length} files` });
+  }
+
+  if (single) {
+    req.file = single;
+  } else if (folderFiles.length > 0) {
+    req.file = {
+      originalname: 'folder',
+      size: folderFiles.reduce((total, file) => total + file.size, 0),
+      files: folderFiles.map((file, index) => ({
+        path: file.path,
+        size: file.size,
+        relativePath: paths[index]
+      }))
+    };
+  }
+  next();
+}
+
+// Remove the uploaded temp file(s) (multer or finalized upload session) once the
+// response is done or the client aborts, covering requests rejected before processing.
+// Routes that hand the file to a background job clear req.file so it is kept.
+function cleanupUploadedFile(req, res, next) {
+  res.on('close', () => {
+    uploadProcessor.cleanupUpload(req.file).catch((error) => {
+      console.warn('Failed to cleanup uploaded temp files:', error.message);
+    });
+  });
+  next();
+}
+
+// Use a completed resumable upload session (uploadId field) in place of a
+// multipart file; the assembled file is then processed like any other upload
+async function useUploadSession(req, res, next) {
+  if (req.file || !req.body || !req.body.uploadId) {
+    return next();
+  }
+
+  try {
+    const file = await uploadSessionManager.finalizeSession(req.body.uploadId, req.session.userId);
+    if (!file) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    req.file = file;
+    next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
+
+// Chunk uploads to a session, e.g. PUT /uploads/<id>
+function isChunkUpload(req) {
+  return req.method === 'PUT' && /^\/uploads\/[^/]+$/.test(req.path);
+}
+
 // Rate limiting for API endpoints
+// Chunk uploads have their own limiter so a large file does not use up the API budget
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 50, // 50 requests per window
   message: { error: 'Too many API requests, please try again later.' },
   standardHeaders: true,
+  legacyHeaders: false,
+  skip: isChunkUpload
+});
+
+const chunkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // 100 chunks per window
+  message: { error: 'Too many upload chunks, please try again later.' },
+  standardHeaders: true,
   legacyHeaders: false
 });
 
@@ -115,6 +271,11 @@ function validateSubdomain(subdomain) {
     return { valid: false, error: 'Subdomain can only contain letters, numbers, and hyphens (no leading/trailing hyphens)' };
   }
 
+  // Double hyphens are reserved for preview hosts (<previewId>--<subdomain>)
+  if (subdomain.includes('--')) {
+    return { valid: false, error: 'Subdomain cannot contain consecutive hyphens' };
+  }
+
   // Reserved subdomains
   const reserved = ['www', 'api', 'admin', 'mail', 'ftp', 'localhost', 'app', 'staging', 'dev', 'test'];
   if (reserved.includes(subdomain)) {
@@ -124,6 +285,59 @@ function validateSubdomain(subdomain) {
   return { valid: true, subdomain };
 }
 
+// Helper function to validate a requested sanitization profile for a user
+// The trusted profile (no sanitization) requires admin approval
+function validateSanitizeProfile(profile, userId) {
+  if (!Object.hasOwn(SANITIZE_PROFILES, profile || '')) {
+    return { valid: false, status: 400, error: `Invalid sanitization profile. Must be one of: ${Object.keys(SANITIZE_PROFILES).join(', ')}` };
+  }
+
+  if (profile === 'trusted' && !isTrustedUser(userId)) {
+    return { valid: false, status: 403, error: 'The trusted profile requires approval from an administrator' };
+  }
+
+  return { valid: true, profile };
+}
+
+// Helper function to turn upload processing errors into user-friendly messages
+function getUploadErrorMessage(error) {
+  if (error.message.includes('too large')) {
+    return error.message;
+  } else if (error.message.includes('Invalid file type')) {
+    return error.message;
+  } else if (error.message.includes('must contain an index.html')) {
+    return error.message;
+  } else if (error.message.includes('not allowed in tar archive') || error.message.includes('Unsupported entry type')) {
+    return error.message;
+  } else if (error.message.includes('Unsupported file type') || error.message.includes('folder upload')) {
+    return error.message;
+  } else if (error.message.includes('path traversal') || error.message.includes('Invalid file path')) {
+    return 'Invalid file structure detected';
+  }
+
+  return 'Upload failed. Please try again.';
+}
+
+// Helper function to build the client-facing body of an upload error
+// Structured errors (archive limits) include a code and details for the dashboard
+function formatUploadError(error) {
+  if (error instanceof UploadError) {
+    return {
+      error: error.message,
+      code: error.code,
+      details: error.details
+    };
+  }
+
+  return { error: getUploadErrorMessage(error) };
+}
+
+// Helper function to send an upload error response
+function sendUploadError(res, error) {
+  const status = error instanceof UploadError ? error.status : 400;
+  return res.status(status).json(formatUploadError(error));
+}
+
 /**
  * POST /api/sites/check-subdomain
  * Check if a subdomain is available
@@ -157,11 +371,17 @@ router.post('/sites/check-subdomain', async (req, res) => {
 
 /**
  * POST /api/upload
- * Upload and deploy HTML/ZIP files
+ * Upload HTML/ZIP/tar.gz files, PDFs, images or Markdown, or a folder
+ * (type=folder: one 'files' part per file plus a 'paths' field with its relative path)
+ * The request is validated, then extraction, sanitization and publishing run
+ * in a background job. Responds 202 with the job ID; follow progress through
+ * GET /api/jobs/:jobId/events. The finished job's result holds the new site.
  */
-router.post('/upload', uploadLimiter, upload.single('file'), async (req, res) => {
+router.post('/upload', uploadLimiter, limitUploadRequest, uploadFields, collectUploadedFiles, useUploadSession, cleanupUploadedFile, async (req, res) => {
   try {
     const { type, subdomain, enablePassword, password } = req.body;
+    const sanitizeProfile = req.body.sanitizeProfile || DEFAULT_SANITIZE_PROFILE;
+    const optimizeAssets = req.body.optimizeAssets === 'true' || req.body.optimizeAssets === true;
     const file = req.file;
 
     // Validate required fields
@@ -177,8 +397,8 @@ router.post('/upload', uploadLimiter, upload.single('file'), async (req, res) =>
     }
 
     // Validate type
-    if (!['html', 'zip'].includes(type)) {
-      return res.status(400).json({ error: 'Invalid type. Must be "html" or "zip"' });
+    if (!Object.hasOwn(UPLOAD_TYPES, type || '')) {
+      return res.status(400).json({ error: `Invalid type. Must be one of: ${Object.keys(UPLOAD_TYPES).join(', ')}` });
     }
 
     // Validate subdomain
@@ -191,20 +411,21 @@ router.post('/upload', uploadLimiter, upload.single('file'), async (req, res) =>
     const userId = req.session.userId;
     const db = getDB();
 
+    // Validate sanitization profile
+    const profileValidation = validateSanitizeProfile(sanitizeProfile, userId);
+    if (!profileValidation.valid) {
+      return res.status(profileValidation.status).json({ error: profileValidation.error });
+    }
+
     // Check subdomain availability again (could have been taken since check)
     const existing = db.get('SELECT id FROM sites WHERE subdomain = ?', [normalizedSubdomain]);
     if (existing) {
       return res.status(409).json({ error: 'Subdomain is no longer available' });
     }
 
-    // Generate site ID
-    const siteId = generateSiteId();
+    // Check size and extension now so obvious mistakes fail fast
+    uploadProcessor.validateFile(file, type);
 
-    console.log(`Starting upload process: user=${userId}, site=${siteId}, subdomain=${normalizedSubdomain}, type=${type}`);
-
-    // Process the upload
-    const processResult = await uploadProcessor.processUpload(file, type, userId, siteId);
-    
     // Hash password if password protection is enabled
     let passwordHash = null;
     const passwordEnabled = enablePassword === 'true' || enablePassword === true;
@@ -212,53 +433,448 @@ router.post('/upload', uploadLimiter, upload.single('file'), async (req, res) =>
       passwordHash = await hashPasscode(password);
     }
 
-    // Create site record in database
-    // Convert boolean to integer for SQLite3 compatibility
-    const passwordEnabledInt = passwordEnabled ? 1 : 0;
+    // Generate site ID
+    const siteId = generateSiteId();
 
-    db.run(
-      'INSERT INTO sites (id, owner_id, subdomain, status, password_enabled, password_hash) VALUES (?, ?, ?, ?, ?, ?)',
-      [siteId, userId, normalizedSubdomain, 'active', passwordEnabledInt, passwordHash]
-    );
+    console.log(`Queueing upload: user=${userId}, site=${siteId}, subdomain=${normalizedSubdomain}, type=${type}, profile=${sanitizeProfile}`);
+
+    // The job owns the temp file from here on (processUpload removes it)
+    req.file = null;
+
+    const job = jobManager.enqueue(userId, 'upload', async (progress) => {
+      try {
+        return await deployUpload({
+          file,
+          type,
+          userId,
+          siteId,
+          subdomain: normalizedSubdomain,
+          sanitizeProfile,
+          optimizeAssets,
+          passwordEnabled,
+          passwordHash,
+          progress
+        });
+      } catch (error) {
+        error.jobError = formatUploadError(error);
+        throw error;
+      } finally {
+        // Covers failures before processUpload took the file
+        await uploadProcessor.cleanupUpload(file);
+      }
+    });
 
-    // Generate site URL
-    const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-    const port = process.env.NODE_ENV === 'production' ? '' : `:${process.env.PORT || 3000}`;
-    const siteUrl = `${protocol}://${normalizedSubdomain}.${BASE_DOMAIN}${port}`;
+    res.status(202).json({
+      jobId: job.jobId,
+      status: job.status,
+      siteId,
+      subdomain: normalizedSubdomain
+    });
+
+  } catch (error) {
+    console.error('Upload error:', error);
+    
+    sendUploadError(res, error);
+  }
+});
 
-    console.log(`Upload completed successfully: ${siteUrl}`);
+/**
+ * Background part of POST /api/upload: process the file into a staging
+ * directory, create the site record and publish the first deployment
+ * @returns {Promise<Object>} - Site and deployment details for the job result
+ */
+async function deployUpload({ file, type, userId, siteId, subdomain, sanitizeProfile, optimizeAssets, passwordEnabled, passwordHash, progress }) {
+  const db = getDB();
+
+  console.log(`Starting upload process: user=${userId}, site=${siteId}, subdomain=${subdomain}, type=${type}`);
+
+  // Process the upload into a staging directory
+  const staged = await deploymentManager.prepareDeployment(userId, siteId);
+  let processResult;
+  try {
+    processResult = await uploadProcessor.processUpload(file, type, staged.dir, {
+      sanitizeProfile,
+      optimize: optimizeAssets,
+      onProgress: progress
+    });
+  } catch (error) {
+    await deploymentManager.discardDeployment(userId, siteId, staged.id);
+    throw error;
+  }
+
+  progress('publishing');
+
+  // The subdomain may have been claimed while this job was queued
+  if (db.get('SELECT id FROM sites WHERE subdomain = ?', [subdomain])) {
+    await deploymentManager.discardDeployment(userId, siteId, staged.id);
+    throw new UploadError('Subdomain is no longer available', 'SUBDOMAIN_TAKEN', {}, 409);
+  }
+
+  // Create site record in database
+  // Convert boolean to integer for SQLite3 compatibility
+  const passwordEnabledInt = passwordEnabled ? 1 : 0;
+
+  db.run(
+    'INSERT INTO sites (id, owner_id, subdomain, status, password_enabled, password_hash, sanitize_profile, optimize_assets) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [siteId, userId, subdomain, 'active', passwordEnabledInt, passwordHash, sanitizeProfile, optimizeAssets ? 1 : 0]
+  );
+
+  // Publish the initial deployment; without it the new site record is removed
+  // so the subdomain is free again
+  let deployment;
+  try {
+    deployment = await deploymentManager.createDeployment({
+      userId,
+      siteId,
+      deploymentId: staged.id,
+      source: 'upload',
+      type: processResult.type,
+      files: processResult.files,
+      size: processResult.size,
+      sanitizeReport: processResult.sanitizeReport,
+      linkReport: processResult.linkReport,
+      siteRules: processResult.siteRules
+    });
+  } catch (error) {
+    const blobHashes = deploymentManager.getSiteBlobHashes(siteId);
+    db.run('DELETE FROM sites WHERE id = ?', [siteId]);
+    await siteStorage.deleteSite(userId, siteId, blobHashes);
+    throw error;
+  }
+
+  const siteUrl = getSiteUrl(subdomain);
+
+  console.log(`Upload completed successfully: ${siteUrl}`);
+
+  return {
+    siteId,
+    subdomain,
+    url: siteUrl,
+    files: processResult.files,
+    size: processResult.size,
+    type: processResult.type,
+    deploymentId: deployment.id,
+    sanitizeReport: processResult.sanitizeReport,
+    linkReport: processResult.linkReport,
+    ruleReport: processResult.ruleReport,
+    optimization: processResult.optimization
+  };
+}
+
+/**
+ * PUT /api/sites/:siteId/content
+ * Redeploy new content to an existing site, keeping its ID,
+ * subdomain, password settings and analytics history
+ */
+router.put('/sites/:siteId/content', uploadLimiter, limitUploadRequest, uploadFields, collectUploadedFiles, useUploadSession, cleanupUploadedFile, async (req, res) => {
+  try {
+    const { siteId } = req.params;
+    const { type } = req.body;
+    const file = req.file;
+    const userId = req.session.userId;
+
+    // Validate required fields
+    if (!type || !file) {
+      return res.status(400).json({ error: 'Missing required fields: type, file' });
+    }
+
+    // Validate type
+    if (!Object.hasOwn(UPLOAD_TYPES, type || '')) {
+      return res.status(400).json({ error: `Invalid type. Must be one of: ${Object.keys(UPLOAD_TYPES).join(', ')}` });
+    }
+
+    const site = checkSiteOwnership(siteId, userId);
+
+    if (!site) {
+      await uploadProcessor.cleanupUpload(file);
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    console.log(`Starting redeploy: user=${userId}, site=${siteId}, subdomain=${site.subdomain}, type=${type}`);
+
+    // Validate before touching the live files
+    try {
+      uploadProcessor.validateFile(file, type);
+    } catch (error) {
+      await uploadProcessor.cleanupUpload(file);
+      throw error;
+    }
+
+    // Build the new files in a staging directory; the live site is untouched if this fails
+    const staged = await deploymentManager.prepareDeployment(userId, siteId);
+    let processResult;
+    try {
+      processResult = await uploadProcessor.processUpload(file, type, staged.dir, {
+        sanitizeProfile: getSiteSanitizeProfile(site),
+        optimize: Boolean(site.optimize_assets),
+        cleanUrls: Boolean(site.clean_urls),
+        spa: site.routing_mode === 'spa'
+      });
+    } catch (error) {
+      await deploymentManager.discardDeployment(userId, siteId, staged.id);
+      throw error;
+    }
+
+    // Swap the new files in
+    const deployment = await deploymentManager.createDeployment({
+      userId,
+      siteId,
+      deploymentId: staged.id,
+      source: 'upload',
+      type: processResult.type,
+      files: processResult.files,
+      size: processResult.size,
+      sanitizeReport: processResult.sanitizeReport,
+      linkReport: processResult.linkReport,
+      siteRules: processResult.siteRules
+    });
+
+    const siteUrl = getSiteUrl(site.subdomain);
+
+    console.log(`Redeploy completed successfully: ${siteUrl}`);
 
-    // Return success response
     res.json({
       siteId,
-      subdomain: normalizedSubdomain,
+      subdomain: site.subdomain,
       url: siteUrl,
       files: processResult.files,
       size: processResult.size,
-      type: processResult.type
+      type: processResult.type,
+      deploymentId: deployment.id,
+      sanitizeReport: processResult.sanitizeReport,
+      linkReport: processResult.linkReport,
+      ruleReport: processResult.ruleReport,
+      optimization: processResult.optimization
     });
 
   } catch (error) {
-    console.error('Upload error:', error);
+    console.error('Redeploy error:', error);
+    sendUploadError(res, error);
+  }
+});
+
+/**
+ * POST /api/sites/:siteId/previews
+ * Upload new content as a preview deployment served on
+ * <previewId>--<subdomain> until it expires or is promoted
+ */
+router.post('/sites/:siteId/previews', uploadLimiter, limitUploadRequest, uploadFields, collectUploadedFiles, useUploadSession, cleanupUploadedFile, async (req, res) => {
+  try {
+    const { siteId } = req.params;
+    const { type } = req.body;
+    const file = req.file;
+    const userId = req.session.userId;
+
+    // Validate required fields
+    if (!type || !file) {
+      return res.status(400).json({ error: 'Missing required fields: type, file' });
+    }
+
+    // Validate type
+    if (!Object.hasOwn(UPLOAD_TYPES, type || '')) {
+      return res.status(400).json({ error: `Invalid type. Must be one of: ${Object.keys(UPLOAD_TYPES).join(', ')}` });
+    }
+
+    const site = checkSiteOwnership(siteId, userId);
+
+    if (!site) {
+      await uploadProcessor.cleanupUpload(file);
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    console.log(`Starting preview deploy: user=${userId}, site=${siteId}, subdomain=${site.subdomain}, type=${type}`);
+
+    const staged = await deploymentManager.prepareDeployment(userId, siteId);
+    let processResult;
+    try {
+      processResult = await uploadProcessor.processUpload(file, type, staged.dir, {
+        sanitizeProfile: getSiteSanitizeProfile(site),
+        optimize: Boolean(site.optimize_assets),
+        cleanUrls: Boolean(site.clean_urls),
+        spa: site.routing_mode === 'spa'
+      });
+    } catch (error) {
+      await deploymentManager.discardDeployment(userId, siteId, staged.id);
+      throw error;
+    }
+
+    const deployment = await deploymentManager.createPreview({
+      userId,
+      siteId,
+      deploymentId: staged.id,
+      source: 'upload',
+      type: processResult.type,
+      files: processResult.files,
+      size: processResult.size,
+      sanitizeReport: processResult.sanitizeReport,
+      linkReport: processResult.linkReport,
+      siteRules: processResult.siteRules
+    });
+
+    const previewUrl = getSiteUrl(site.subdomain, deployment.preview_id);
+
+    console.log(`Preview deploy completed successfully: ${previewUrl}`);
+
+    res.json({
+      siteId,
+      subdomain: site.subdomain,
+      url: previewUrl,
+      files: processResult.files,
+      size: processResult.size,
+      type: processResult.type,
+      deploymentId: deployment.id,
+      previewId: deployment.preview_id,
+      expiresAt: deployment.preview_expires_at,
+      sanitizeReport: processResult.sanitizeReport,
+      linkReport: processResult.linkReport,
+      ruleReport: processResult.ruleReport,
+      optimization: processResult.optimization
+    });
+
+  } catch (error) {
+    console.error('Preview deploy error:', error);
+    sendUploadError(res, error);
+  }
+});
+
+/**
+ * POST /api/uploads
+ * Start a resumable upload session for a large file
+ * Body: { fileName, size }. Chunks are then sent with PUT /api/uploads/:sessionId
+ * and the session ID is passed as uploadId to /api/upload, /content or /previews.
+ */
+router.post('/uploads', express.json(), async (req, res) => {
+  try {
+    const { fileName, size } = req.body || {};
+    const session = await uploadSessionManager.createSession(req.session.userId, fileName, size);
+    res.status(201).json(session);
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/uploads/:sessionId
+ * Get how many bytes of an upload session have been received (to resume)
+ */
+router.get('/uploads/:sessionId', async (req, res) => {
+  try {
+    const session = await uploadSessionManager.getSession(req.params.sessionId, req.session.userId);
     
-    // Return user-friendly error message
-    let errorMessage = 'Upload failed. Please try again.';
-    if (error.message.includes('too large')) {
-      errorMessage = error.message;
-    } else if (error.message.includes('Invalid file type')) {
-      errorMessage = error.message;
-    } else if (error.message.includes('ZIP file must contain')) {
-      errorMessage = error.message;
-    } else if (error.message.includes('Unsupported file type')) {
-      errorMessage = error.message;
-    } else if (error.message.includes('path traversal')) {
-      errorMessage = 'Invalid file structure detected';
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
     }
+    
+    res.json(uploadSessionManager.formatSession(session));
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    res.status(500).json({ error: 'Failed to fetch upload session' });
+  }
+});
 
-    res.status(400).json({ error: errorMessage });
+/**
+ * PUT /api/uploads/:sessionId?offset=N
+ * Upload one chunk (raw application/octet-stream body) at a byte offset
+ */
+router.put('/uploads/:sessionId', chunkLimiter, express.raw({ type: 'application/octet-stream', limit: UPLOAD_CHUNK_BYTES }), async (req, res) => {
+  try {
+    const offset = Number(req.query.offset);
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    
+    const session = await uploadSessionManager.writeChunk(req.params.sessionId, req.session.userId, offset, chunk);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    
+    res.json(session);
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(error.status || 400).json({ error: error.message, received: error.received });
   }
 });
 
+/**
+ * DELETE /api/uploads/:sessionId
+ * Cancel an upload session and discard its data
+ */
+router.delete('/uploads/:sessionId', async (req, res) => {
+  try {
+    if (!await uploadSessionManager.deleteSession(req.params.sessionId, req.session.userId)) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete upload session error:', error);
+    res.status(500).json({ error: 'Failed to cancel upload session' });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId
+ * Get the status of a background job (stage, progress, result or error)
+ */
+router.get('/jobs/:jobId', (req, res) => {
+  const job = jobManager.getJob(req.params.jobId, req.session.userId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+});
+
+/**
+ * GET /api/jobs/:jobId/events
+ * Stream a background job as Server-Sent Events: 'progress' events while it
+ * runs, then one 'completed' or 'failed' event before the stream closes.
+ * The current state is sent first, so reconnecting clients catch up.
+ */
+router.get('/jobs/:jobId/events', (req, res) => {
+  const { jobId } = req.params;
+  const job = jobManager.getJob(jobId, req.session.userId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const isFinished = (state) => state.status === 'completed' || state.status === 'failed';
+  const send = (state) => {
+    const event = isFinished(state) ? state.status : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(state)}\n\n`);
+  };
+
+  send(job);
+  if (isFinished(job)) {
+    return res.end();
+  }
+
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = jobManager.subscribe(jobId, (state) => {
+    send(state);
+    if (isFinished(state)) {
+      stop();
+      res.end();
+    }
+  });
+
+  function stop() {
+    clearInterval(keepAlive);
+    unsubscribe();
+  }
+
+  req.on('close', stop);
+});
+
 /**
  * GET /api/sites
  * Get user's sites
@@ -270,7 +886,7 @@ router.get('/sites', async (req, res) => {
 
     // Get user's sites
     const sites = db.all(
-      'SELECT id, subdomain, status, created_at, updated_at, password_enabled FROM sites WHERE owner_id = ? ORDER BY created_at DESC',
+      'SELECT id, subdomain, status, created_at, updated_at, password_enabled, publish_at, expires_at FROM sites WHERE owner_id = ? ORDER BY created_at DESC',
       [userId]
     );
 
@@ -295,6 +911,9 @@ router.get('/sites', async (req, res) => {
  * Error handler for multer
  */
 router.use((error, req, res, next) => {
+  if (error instanceof UploadError) {
+    return sendUploadError(res, error);
+  }
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ error: 'File too large' });
@@ -343,10 +962,12 @@ router.get('/sites/:siteId', async (req, res) => {
     const port = process.env.NODE_ENV === 'production' ? '' : `:${process.env.PORT || 3000}`;
     const siteUrl = `${protocol}://${site.subdomain}.${BASE_DOMAIN}${port}`;
     
-    // Add URL to site object
+    // Add URLs to site object
     const siteWithUrl = {
       ...site,
-      url: siteUrl
+      cache_control: parseCacheControl(site.cache_control),
+      url: siteUrl,
+      gitUrl: `${protocol}://${BASE_DOMAIN}${port}/git/${site.subdomain}.git`
     };
     
     res.json(siteWithUrl);
@@ -493,16 +1114,59 @@ router.put('/sites/:siteId/files/:filename', express.json({ limit: '5mb' }), asy
       // Check if file exists
       await fs.access(filePath);
       
-      // Write updated content
-      await fs.writeFile(filePath, content, 'utf8');
-      
-      // Get updated file stats
-      const stats = await fs.stat(filePath);
+      // Every editor save becomes a new deployment: copy the live files into
+      // staging, apply the edit there and swap the result in
+      const staged = await deploymentManager.stageFromActive(userId, siteId);
+      let stats;
+      let deployment;
+      let fileContent;
+      try {
+        const stagedPath = path.join(staged.dir, filename);
+        
+        // Editor saves go through the same sanitization profile as uploads
+        const isHtml = ext === '.html' || ext === '.htm';
+        fileContent = isHtml
+          ? uploadProcessor.sanitizeHtml(String(content), getSiteSanitizeProfile(site))
+          : content;
+        
+        // Write updated content
+        await fs.writeFile(stagedPath, fileContent, 'utf8');
+        
+        // Precompressed copies from asset optimization would now be stale
+        await fs.rm(`${stagedPath}.gz`, { force: true });
+        await fs.rm(`${stagedPath}.br`, { force: true });
+        
+        // Get updated file stats
+        stats = await fs.stat(stagedPath);
+        
+        const siteFiles = await siteStorage.listFiles(staged.dir);
+        const siteSize = await siteStorage.getDirectorySize(staged.dir);
+        // The rule files cannot be edited here; their rules carry over to the new deployment
+        const { rules } = await siteRules.compileSite(staged.dir, siteFiles);
+        deployment = await deploymentManager.createDeployment({
+          userId,
+          siteId,
+          deploymentId: staged.id,
+          source: 'editor',
+          files: siteFiles,
+          size: siteSize,
+          meta: { file: filename },
+          siteRules: rules
+        });
+      } catch (err) {
+        await deploymentManager.discardDeployment(userId, siteId, staged.id);
+        throw err;
+      }
       
+      // Return the stored content when sanitization changed it so the editor can resync
+      const sanitized = fileContent !== content;
       res.json({
         name: filename,
         size: stats.size,
         modified: stats.mtime,
+        deploymentId: deployment.id,
+        sanitized,
+        content: sanitized ? fileContent : undefined,
         success: true
       });
     } catch (err) {
@@ -533,20 +1197,13 @@ router.delete('/sites/:siteId', async (req, res) => {
     }
     
     const db = getDB();
-    const siteDir = path.join(__dirname, 'sites', userId, siteId);
+    const blobHashes = deploymentManager.getSiteBlobHashes(siteId);
     
     // Delete database record
     db.run('DELETE FROM sites WHERE id = ? AND owner_id = ?', [siteId, userId]);
     
-    // Delete site files
-    try {
-      // Recursively delete directory
-      const { execSync } = require('child_process');
-      execSync(`rm -rf "${siteDir}"`);
-    } catch (err) {
-      console.error('Error deleting site files:', err);
-      // Continue even if file deletion fails
-    }
+    // Delete site files and deployment snapshots (continues even if deletion fails)
+    await siteStorage.deleteSite(userId, siteId, blobHashes);
     
     res.json({ success: true, message: 'Site deleted successfully' });
   } catch (error) {
@@ -555,6 +1212,338 @@ router.delete('/sites/:siteId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/sites/:siteId/deployments
+ * List a site's deployment history, newest first
+ */
+router.get('/sites/:siteId/deployments', async (req, res) => {
+  try {
+    const { siteId } = req.params;
+    const userId = req.session.userId;
+    
+    const site = checkSiteOwnership(siteId, userId);
+    
+    if (!site) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    const deployments = deploymentManager.listDeployments(siteId).map(deployment => ({
+      ...deployment,
+      active: deployment.id === site.active_deployment_id,
+      previewUrl: deployment.preview_expires_at ? getSiteUrl(site.subdomain, deployment.preview_id) : null
+    }));
+    
+    res.json({
+      activeDeploymentId: site.active_deployment_id,
+      deployments
+    });
+  } catch (error) {
+    console.error('List deployments error:', error);
+    res.status(500).json({ error: 'Failed to list deployments' });
+  }
+});
+
+/**
+ * GET /api/sites/:siteId/usage
+ * Get a site's storage usage: logical (live site size) and physical
+ * (distinct stored blobs across all of its deployments)
+ */
+router.get('/sites/:siteId/usage', async (req, res) => {
+  try {
+    const { siteId } = req.params;
+    const userId = req.session.userId;
+    
+    const site = checkSiteOwnership(siteId, userId);
+    
+    if (!site) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    const usage = await deploymentManager.refreshUsage(userId, siteId);
+    res.json(usage);
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ error: 'Failed to calculate storage usage' });
+  }
+});
+
+/**
+ * GET /api/sites/:siteId/sanitize-report
+ * Get the sanitization report for the live deployment (or ?deploymentId=)
+ */
+router.get('/sites/:siteId/sanitize-report', async (req, res) => {
+  try {
+    const { siteId } = req.params;
+    const userId = req.session.userId;
+
+    const site = checkSiteOwnership(siteId, userId);
+
+    if (!site) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    const deploymentId = req.query.deploymentId || site.active_deployment_id;
+    if (!deploymentId || !deploymentManager.getDeployment(siteId, deploymentId)) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+
+    res.json({
+      deploymentId,
+      report: deploymentManager.getSanitizeReport(siteId, deploymentId)
+    });
+  } catch (error) {
+    console.error('Get sanitize report error:', error);
+    res.status(500).json({ error: 'Failed to fetch sanitization report' });
+  }
+});
+
+/**
+ * GET /api/sites/:siteId/link-report
+ * Get the broken links, missing assets, case mismatches and local paths found
+ * in the active deployment (or ?deploymentId=...)
+ */
+router.get('/sites/:siteId/link-report', async (req, res) => {
+  try {
+    const { siteId } = req.params;
+    const userId = req.session.userId;
+
+    const site = checkSiteOwnership(siteId, userId);
+
+    if (!site) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    const deploymentId = req.query.deploymentId || site.active_deployment_id;
+    if (!deploymentId || !deploymentManager.getDeployment(siteId, deploymentId)) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+
+    res.json({
+      deploymentId,
+      report: deploymentManager.getLinkReport(siteId, deploymentId)
+    });
+  } catch (error) {
+    console.error('Get link report error:', error);
+    res.status(500).json({ error: 'Failed to fetch link report' });
+  }
+});
+
+/**
+ * POST /api/sites/:siteId/deployments/:deploymentId/rollback
+ * Restore a previous deployment as the live site
+ */
+router.post('/sites/:siteId/deployments/:deploymentId/rollback', async (req, res) => {
+  try {
+    const { siteId, deploymentId } = req.params;
+    const userId = req.session.userId;
+    
+    const site = checkSiteOwnership(siteId, userId);
+    
+    if (!site) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    if (site.active_deployment_id === deploymentId) {
+      return res.status(400).json({ error: 'Deployment is already active' });
+    }
+    
+    const deployment = await deploymentManager.rollback(site, deploymentId);
+    
+    if (!deployment) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+    
+    res.json({
+      success: true,
+      message: `Rolled back to version ${deployment.version}`,
+      deployment: { ...deployment, active: true }
+    });
+  } catch (error) {
+    console.error('Rollback error:', error);
+    res.status(500).json({ error: 'Failed to roll back deployment' });
+  }
+});
+
+/**
+ * POST /api/sites/:siteId/deployments/:deploymentId/promote
+ * Publish a preview deployment to the site's production subdomain
+ */
+router.post('/sites/:siteId/deployments/:deploymentId/promote', async (req, res) => {
+  try {
+    const { siteId, deploymentId } = req.params;
+    const userId = req.session.userId;
+    
+    const site = checkSiteOwnership(siteId, userId);
+    
+    if (!site) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    const deployment = await deploymentManager.promote(site, deploymentId);
+    
+    if (!deployment) {
+      return res.status(404).json({ error: 'Preview not found or expired' });
+    }
+    
+    res.json({
+      success: true,
+      message: `Preview promoted to production as version ${deployment.version}`,
+      url: getSiteUrl(site.subdomain),
+      deployment: { ...deployment, active: true }
+    });
+  } catch (error) {
+    console.error('Promote preview error:', error);
+    res.status(500).json({ error: 'Failed to promote preview' });
+  }
+});
+
+/**
+ * PUT /api/sites/:siteId/settings
+ * Update site settings. Only fields present in the body are changed:
+ * - publishAt: ISO date the site goes live (null to publish now)
+ * - expiresAt: ISO date the site is taken offline (null for never)
+ * - expiredMessage: Text shown on the expired page (null for the default)
+ * - gitBranch: Branch deployed by git push
+ * - cacheControl: Cache-Control overrides by file class ({ html, assets, media }; null or '' for the default)
+ * - routingMode: 'static', or 'spa' to serve index.html for unknown page paths
+ * - cleanUrls: true to serve /about from about.html and redirect /about.html there
+ * - trailingSlash: 'auto' (directories only), 'always' or 'never' for page URLs
+ */
+router.put('/sites/:siteId/settings', express.json(), async (req, res) => {
+  try {
+    const { siteId } = req.params;
+    const userId = req.session.userId;
+    const body = req.body || {};
+    
+    const site = checkSiteOwnership(siteId, userId);
+    
+    if (!site) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    let publishAt = site.publish_at;
+    let expiresAt = site.expires_at;
+    let expiredMessage = site.expired_message;
+    let gitBranch = site.git_branch || 'main';
+    let sanitizeProfile = site.sanitize_profile || DEFAULT_SANITIZE_PROFILE;
+    let optimizeAssets = Boolean(site.optimize_assets);
+    let cacheControl = parseCacheControl(site.cache_control);
+    let routingMode = site.routing_mode || 'static';
+    let cleanUrls = Boolean(site.clean_urls);
+    let trailingSlash = site.trailing_slash || 'auto';
+    
+    try {
+      if ('publishAt' in body) {
+        publishAt = toSqlDatetime(body.publishAt);
+      }
+      if ('expiresAt' in body) {
+        expiresAt = toSqlDatetime(body.expiresAt);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (publishAt && expiresAt && expiresAt <= publishAt) {
+      return res.status(400).json({ error: 'Expiry time must be after the publish time' });
+    }
+    
+    if ('expiredMessage' in body) {
+      expiredMessage = typeof body.expiredMessage === 'string' ? body.expiredMessage.trim() : null;
+      if (expiredMessage && expiredMessage.length > 500) {
+        return res.status(400).json({ error: 'Expired message must be 500 characters or less' });
+      }
+      expiredMessage = expiredMessage || null;
+    }
+    
+    if ('gitBranch' in body) {
+      gitBranch = typeof body.gitBranch === 'string' ? body.gitBranch.trim() : '';
+      if (!BRANCH_PATTERN.test(gitBranch)) {
+        return res.status(400).json({ error: 'Invalid branch name' });
+      }
+    }
+    
+    // Applies to the next deployment or editor save; existing files are not re-sanitized
+    if ('sanitizeProfile' in body && body.sanitizeProfile !== sanitizeProfile) {
+      const profileValidation = validateSanitizeProfile(body.sanitizeProfile, userId);
+      if (!profileValidation.valid) {
+        return res.status(profileValidation.status).json({ error: profileValidation.error });
+      }
+      sanitizeProfile = profileValidation.profile;
+    }
+    
+    // Applies to the next archive deployment
+    if ('optimizeAssets' in body) {
+      if (typeof body.optimizeAssets !== 'boolean') {
+        return res.status(400).json({ error: 'optimizeAssets must be true or false' });
+      }
+      optimizeAssets = body.optimizeAssets;
+    }
+    
+    // Applies to the next request for each file
+    if ('cacheControl' in body) {
+      const cacheValidation = validateCacheControl(body.cacheControl);
+      if (!cacheValidation.valid) {
+        return res.status(400).json({ error: cacheValidation.error });
+      }
+      cacheControl = cacheValidation.overrides;
+    }
+    
+    if ('routingMode' in body) {
+      if (!ROUTING_MODES.includes(body.routingMode)) {
+        return res.status(400).json({ error: `Invalid routing mode. Must be one of: ${ROUTING_MODES.join(', ')}` });
+      }
+      routingMode = body.routingMode;
+    }
+    
+    if ('cleanUrls' in body) {
+      if (typeof body.cleanUrls !== 'boolean') {
+        return res.status(400).json({ error: 'cleanUrls must be true or false' });
+      }
+      cleanUrls = body.cleanUrls;
+    }
+    
+    if ('trailingSlash' in body) {
+      if (!TRAILING_SLASH_POLICIES.includes(body.trailingSlash)) {
+        return res.status(400).json({ error: `Invalid trailing slash policy. Must be one of: ${TRAILING_SLASH_POLICIES.join(', ')}` });
+      }
+      trailingSlash = body.trailingSlash;
+    }
+    
+    // Apply the schedule right away; the scheduler handles later transitions
+    const status = getScheduledStatus(publishAt, expiresAt);
+    
+    const db = getDB();
+    db.run(
+      `UPDATE sites SET publish_at = ?, expires_at = ?, expired_message = ?, git_branch = ?, sanitize_profile = ?, optimize_assets = ?, cache_control = ?, routing_mode = ?, clean_urls = ?, trailing_slash = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status === 'active' ? null : publishAt, expiresAt, expiredMessage, gitBranch, sanitizeProfile, optimizeAssets ? 1 : 0,
+        Object.keys(cacheControl).length > 0 ? JSON.stringify(cacheControl) : null, routingMode, cleanUrls ? 1 : 0, trailingSlash, status, siteId]
+    );
+    
+    console.log(`Settings updated for site ${siteId}: status=${status}, publish_at=${publishAt}, expires_at=${expiresAt}, sanitize_profile=${sanitizeProfile}, optimize_assets=${optimizeAssets}, routing_mode=${routingMode}, clean_urls=${cleanUrls}, trailing_slash=${trailingSlash}`);
+    
+    res.json({
+      success: true,
+      settings: {
+        status,
+        publish_at: status === 'active' ? null : publishAt,
+        expires_at: expiresAt,
+        expired_message: expiredMessage,
+        git_branch: gitBranch,
+        sanitize_profile: sanitizeProfile,
+        optimize_assets: optimizeAssets,
+        cache_control: cacheControl,
+        routing_mode: routingMode,
+        clean_urls: cleanUrls,
+        trailing_slash: trailingSlash
+      }
+    });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({ error: 'Failed to update site settings' });
+  }
+});
+
 /**
  * PUT /api/sites/:siteId/password
  * Set or update password protection for a site
@@ -622,6 +1611,147 @@ router.delete('/sites/:siteId/password', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tokens
+ * List the user's deploy tokens (token values are never returned again)
+ */
+router.get('/tokens', async (req, res) => {
+  try {
+    res.json(gitDeployManager.listTokens(req.session.userId));
+  } catch (error) {
+    console.error('List tokens error:', error);
+    res.status(500).json({ error: 'Failed to list deploy tokens' });
+  }
+});
+
+/**
+ * POST /api/tokens
+ * Create a deploy token usable as the password for git pushes
+ */
+router.post('/tokens', express.json(), async (req, res) => {
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Token name is required (max 100 characters)' });
+    }
+    
+    const token = gitDeployManager.createToken(req.session.userId, name);
+    res.status(201).json(token);
+  } catch (error) {
+    console.error('Create token error:', error);
+    res.status(500).json({ error: 'Failed to create deploy token' });
+  }
+});
+
+/**
+ * DELETE /api/tokens/:tokenId
+ * Revoke a deploy token
+ */
+router.delete('/tokens/:tokenId', async (req, res) => {
+  try {
+    if (!gitDeployManager.revokeToken(req.session.userId, req.params.tokenId)) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    
+    res.json({ success: true, message: 'Deploy token revoked' });
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({ error: 'Failed to revoke deploy token' });
+  }
+});
+
+/**
+ * GET /api/account
+ * Get the current user's role and whether they may use the trusted profile
+ */
+router.get('/account', async (req, res) => {
+  try {
+    const db = getDB();
+    const user = db.get('SELECT id, email, role, trusted_html FROM users WHERE id = ?', [req.session.userId]);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      trustedHtml: !!user.trusted_html
+    });
+  } catch (error) {
+    console.error('Get account error:', error);
+    res.status(500).json({ error: 'Failed to fetch account' });
+  }
+});
+
+/**
+ * Admin API Endpoints
+ */
+
+// Middleware to restrict a route to admin users
+function requireAdmin(req, res, next) {
+  const db = getDB();
+  const user = db.get('SELECT role FROM users WHERE id = ?', [req.session.userId]);
+  
+  if (!user || user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+/**
+ * GET /api/admin/users
+ * List users with their trusted HTML approval
+ */
+router.get('/admin/users', requireAdmin, async (req, res) => {
+  try {
+    const db = getDB();
+    const users = db.all(
+      'SELECT id, email, role, trusted_html, created_at FROM users ORDER BY created_at DESC'
+    );
+    
+    res.json(users.map(user => ({ ...user, trusted_html: !!user.trusted_html })));
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:userId/trusted
+ * Approve or revoke a user's access to the trusted (unsanitized) profile
+ * Sites already on trusted fall back to standard for later writes once revoked
+ */
+router.put('/admin/users/:userId/trusted', requireAdmin, express.json(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { trusted } = req.body || {};
+    
+    if (typeof trusted !== 'boolean') {
+      return res.status(400).json({ error: 'trusted must be true or false' });
+    }
+    
+    const db = getDB();
+    const result = db.run(
+      'UPDATE users SET trusted_html = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [trusted ? 1 : 0, userId]
+    );
+    
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    console.log(`Trusted HTML ${trusted ? 'approved' : 'revoked'} for user ${userId} by ${req.session.userId}`);
+    
+    res.json({ success: true, userId, trustedHtml: trusted });
+  } catch (error) {
+    console.error('Update trusted user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
 /**
  * Analytics API Endpoints
  */
@@ -0,0 +1,136 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { COMPRESSIBLE_EXTENSIONS, MIN_COMPRESS_BYTES } = require('./optimize');
+
+/**
+ * Response compression module for Tinny
+ *
+ * Serves site text assets with brotli or gzip per Accept-Encoding:
+ * - the .br/.gz siblings written at deploy time by the asset optimizer are
+ *   sent as stored
+ * - HTML (whose analytics script is injected per request) and sites deployed
+ *   without optimization are compressed on the fly, once: results are kept in
+ *   a memory cache keyed by content hash
+ */
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+// Encodings in order of preference, with the suffix of their precompressed sibling
+const ENCODINGS = {
+  br: '.br',
+  gzip: '.gz'
+};
+
+// Larger files without a precompressed sibling are sent uncompressed
+const MAX_DYNAMIC_COMPRESS_BYTES = 2 * 1024 * 1024;
+// Memory used by compressed responses kept for reuse
+const COMPRESSION_CACHE_BYTES = parseInt(process.env.COMPRESSION_CACHE_BYTES) || 32 * 1024 * 1024;
+
+class SiteCompressor {
+  constructor() {
+    // Insertion order doubles as LRU order: hits are moved to the end
+    this.cache = new Map();
+    this.cacheBytes = 0;
+  }
+
+  /**
+   * Whether responses for a file vary by Accept-Encoding
+   */
+  isCompressible(filePath) {
+    return COMPRESSIBLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Preferred encoding the client accepts among the given ones
+   * The server's order wins over the order of the Accept-Encoding header
+   * (browsers list gzip before br); q=0 excludes an encoding.
+   * @returns {string|null}
+   */
+  preferredEncoding(req, encodings) {
+    return encodings.find(encoding => req.acceptsEncodings(encoding) === encoding) || null;
+  }
+
+  /**
+   * Encoding for content compressed on the fly
+   * @returns {string|null} - 'br', 'gzip' or null to send as-is
+   */
+  negotiate(req, filePath, size) {
+    if (!this.isCompressible(filePath) || size < MIN_COMPRESS_BYTES || size > MAX_DYNAMIC_COMPRESS_BYTES) {
+      return null;
+    }
+    return this.preferredEncoding(req, Object.keys(ENCODINGS));
+  }
+
+  /**
+   * Find a precompressed sibling of a file that the client accepts
+   * @returns {Promise<Object|null>} - { encoding, path }
+   */
+  async findPrecompressed(req, filePath) {
+    if (!this.isCompressible(filePath)) {
+      return null;
+    }
+
+    const available = [];
+    for (const [encoding, suffix] of Object.entries(ENCODINGS)) {
+      const stats = await fs.stat(filePath + suffix).catch(() => null);
+      if (stats && stats.isFile()) {
+        available.push(encoding);
+      }
+    }
+
+    const encoding = this.preferredEncoding(req, available);
+    return encoding ? { encoding, path: filePath + ENCODINGS[encoding] } : null;
+  }
+
+  /**
+   * Compress content, reusing an earlier result for the same key
+   * @param {Buffer} content - Response body
+   * @param {string} encoding - 'br' or 'gzip'
+   * @param {string} key - Identifies the content (its ETag)
+   * @returns {Promise<Buffer>}
+   */
+  async compress(content, encoding, key) {
+    const cacheKey = `${encoding}:${key}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      this.cache.delete(cacheKey);
+      this.cache.set(cacheKey, cached);
+      return cached;
+    }
+
+    const compressed = encoding === 'br'
+      ? await brotliCompress(content, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+        }
+      })
+      : await gzip(content);
+
+    this.cache.set(cacheKey, compressed);
+    this.cacheBytes += compressed.length;
+    // Evict least recently used entries
+    for (const [oldKey, oldValue] of this.cache) {
+      if (this.cacheBytes <= COMPRESSION_CACHE_BYTES) {
+        break;
+      }
+      this.cache.delete(oldKey);
+      this.cacheBytes -= oldValue.length;
+    }
+
+    return compressed;
+  }
+}
+
+// Export singleton instance
+const siteCompressor = new SiteCompressor();
+
+module.exports = {
+  siteCompressor,
+  SiteCompressor,
+  ENCODINGS,
+  MAX_DYNAMIC_COMPRESS_BYTES
+};
@@ -0,0 +1,185 @@
+const fs = require('fs').promises;
+
+/**
+ * Content sniffing module for Tinny
+ *
+ * File extensions decide how uploaded files are served, so each file's leading
+ * bytes are checked against the type its extension claims: a PNG must start
+ * with the PNG signature, a .js file must be text (not an executable or
+ * archive), an .svg must contain an <svg> element, and so on.
+ */
+
+// Bytes read from the start of each file
+const SNIFF_BYTES = 8192;
+
+// Leading bytes of the binary formats Tinny recognizes
+// (also: a second signature at an offset; binaryOnly: only if the head contains NUL bytes)
+const SIGNATURES = [
+  { type: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { type: 'jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'gif', bytes: 'GIF87a' },
+  { type: 'gif', bytes: 'GIF89a' },
+  { type: 'webp', bytes: 'RIFF', at: 0, also: { bytes: 'WEBP', at: 8 } },
+  { type: 'pdf', bytes: '%PDF-' },
+  { type: 'woff', bytes: 'wOFF' },
+  { type: 'woff2', bytes: 'wOF2' },
+  { type: 'ttf', bytes: [0x00, 0x01, 0x00, 0x00] },
+  { type: 'otf', bytes: 'OTTO' },
+  { type: 'ico', bytes: [0x00, 0x00, 0x01, 0x00] },
+  // ISO base media (MP4, M4A): a box size, then "ftyp"
+  { type: 'mp4', bytes: 'ftyp', at: 4 },
+  { type: 'webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+  { type: 'ogg', bytes: 'OggS' },
+  { type: 'wav', bytes: 'RIFF', at: 0, also: { bytes: 'WAVE', at: 8 } },
+  // MP3: an ID3 tag or an MPEG audio frame header
+  { type: 'mp3', bytes: 'ID3' },
+  { type: 'mp3', bytes: [0xFF, 0xFB] },
+  { type: 'mp3', bytes: [0xFF, 0xF3] },
+  { type: 'mp3', bytes: [0xFF, 0xF2] },
+  { type: 'zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { type: 'gzip', bytes: [0x1F, 0x8B] },
+  // Windows PE; "MZ" alone could start a text file, PE headers always contain NUL bytes
+  { type: 'executable', bytes: 'MZ', binaryOnly: true },
+  { type: 'executable', bytes: [0x7F, 0x45, 0x4C, 0x46] }, // ELF
+  { type: 'executable', bytes: [0xFE, 0xED, 0xFA, 0xCE] }, // Mach-O
+  { type: 'executable', bytes: [0xFE, 0xED, 0xFA, 0xCF] },
+  { type: 'executable', bytes: [0xCE, 0xFA, 0xED, 0xFE] },
+  { type: 'executable', bytes: [0xCF, 0xFA, 0xED, 0xFE] },
+  { type: 'executable', bytes: [0xCA, 0xFE, 0xBA, 0xBE] } // Mach-O universal / Java class
+];
+
+// Detected types accepted for each extension
+const TEXT_TYPES = ['text', 'html', 'svg'];
+const EXTENSION_TYPES = {
+  '.png': ['png'],
+  '.jpg': ['jpeg'],
+  '.jpeg': ['jpeg'],
+  '.gif': ['gif'],
+  '.webp': ['webp'],
+  '.pdf': ['pdf'],
+  '.woff': ['woff'],
+  '.woff2': ['woff2'],
+  // TrueType and CFF-flavoured OpenType are often named either way
+  '.ttf': ['ttf', 'otf'],
+  '.otf': ['otf', 'ttf'],
+  '.svg': ['svg'],
+  // Favicons are often PNG files named .ico
+  '.ico': ['ico', 'png'],
+  '.mp4': ['mp4'],
+  '.m4a': ['mp4'],
+  '.webm': ['webm'],
+  '.ogg': ['ogg'],
+  '.wav': ['wav'],
+  '.mp3': ['mp3'],
+  '.html': TEXT_TYPES,
+  '.htm': TEXT_TYPES,
+  '.css': TEXT_TYPES,
+  '.js': TEXT_TYPES,
+  '.json': TEXT_TYPES,
+  '.txt': TEXT_TYPES,
+  '.md': TEXT_TYPES,
+  '.markdown': TEXT_TYPES,
+  '.webmanifest': TEXT_TYPES,
+  '.vtt': TEXT_TYPES
+};
+
+// Wording used in error messages
+const TYPE_DESCRIPTIONS = {
+  png: 'a PNG image',
+  jpeg: 'a JPEG image',
+  gif: 'a GIF image',
+  webp: 'a WebP image',
+  pdf: 'a PDF document',
+  woff: 'a WOFF font',
+  woff2: 'a WOFF2 font',
+  ttf: 'a TrueType font',
+  otf: 'an OpenType font',
+  ico: 'an icon',
+  mp4: 'an MP4 video',
+  webm: 'a WebM video',
+  ogg: 'an Ogg media file',
+  wav: 'a WAV audio file',
+  mp3: 'an MP3 audio file',
+  zip: 'a ZIP archive',
+  gzip: 'a gzip archive',
+  executable: 'an executable program',
+  binary: 'binary data',
+  html: 'an HTML document',
+  svg: 'an SVG image',
+  text: 'plain text'
+};
+
+function matchesAt(head, bytes, at = 0) {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return head.length >= at + expected.length && head.subarray(at, at + expected.length).equals(expected);
+}
+
+/**
+ * Detect what a file's leading bytes look like
+ * @param {Buffer} head - Start of the file (up to SNIFF_BYTES)
+ * @returns {string} - A key of TYPE_DESCRIPTIONS
+ */
+function detectContentType(head) {
+  const hasNul = head.includes(0);
+
+  for (const signature of SIGNATURES) {
+    if (matchesAt(head, signature.bytes, signature.at) &&
+      (!signature.also || matchesAt(head, signature.also.bytes, signature.also.at)) &&
+      (!signature.binaryOnly || hasNul)) {
+      return signature.type;
+    }
+  }
+
+  // UTF-16 text legitimately contains NUL bytes; anything else with them is binary
+  const utf16 = matchesAt(head, [0xFF, 0xFE]) || matchesAt(head, [0xFE, 0xFF]);
+  if (!utf16 && hasNul) {
+    return 'binary';
+  }
+
+  const text = head.toString(utf16 ? 'utf16le' : 'utf8').replace(/^\uFEFF/, '').trimStart();
+  if (/^(?:<!doctype html|<html[\s>]|<head[\s>]|<body[\s>])/i.test(text)) {
+    return 'html';
+  }
+  if (/<svg[\s>]/i.test(text)) {
+    return 'svg';
+  }
+  return 'text';
+}
+
+/**
+ * Check that a file's content matches its extension
+ * Empty files and extensions without a rule are accepted.
+ * @param {string} filePath - File to check
+ * @param {string} ext - Claimed extension, lower case with the dot
+ * @returns {Promise<string|null>} - Detected type if it does not match, otherwise null
+ */
+async function checkFileContent(filePath, ext) {
+  const accepted = EXTENSION_TYPES[ext];
+  if (!accepted) {
+    return null;
+  }
+
+  const handle = await fs.open(filePath, 'r');
+  let head;
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    head = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  if (head.length === 0) {
+    return null;
+  }
+
+  const detected = detectContentType(head);
+  return accepted.includes(detected) ? null : detected;
+}
+
+module.exports = {
+  checkFileContent,
+  detectContentType,
+  TYPE_DESCRIPTIONS,
+  SNIFF_BYTES
+};
@@ -40,25 +40,46 @@ class TinnyDB {
 
   /**
    * Run migrations from migrations directory
+   *
+   * Applied migrations are recorded in schema_migrations so that
+   * non-idempotent statements (e.g. ALTER TABLE ADD COLUMN) only run once.
    */
   runMigrations() {
     const migrationsDir = path.join(__dirname, 'migrations');
-    
+
     if (!fs.existsSync(migrationsDir)) {
       console.log('No migrations directory found');
       return;
     }
 
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const applied = new Set(
+      this.db.prepare('SELECT name FROM schema_migrations').all().map(row => row.name)
+    );
+
     const migrationFiles = fs.readdirSync(migrationsDir)
       .filter(file => file.endsWith('.sql'))
       .sort();
 
     for (const file of migrationFiles) {
+      if (applied.has(file)) {
+        continue;
+      }
+
       const filePath = path.join(migrationsDir, file);
       const sql = fs.readFileSync(filePath, 'utf8');
-      
+
       console.log(`Running migration: ${file}`);
-      this.db.exec(sql);
+      this.db.transaction(() => {
+        this.db.exec(sql);
+        this.db.prepare('INSERT INTO schema_migrations (name) VALUES (?)').run(file);
+      })();
     }
 
     console.log('Migrations completed');
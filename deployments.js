@@ -0,0 +1,433 @@
+const crypto = require('crypto');
+const { getDB } = require('./db');
+const { storage } = require('./storage');
+
+/**
+ * Deployments module for Tinny
+ *
+ * Every upload or editor save produces an immutable deployment:
+ * - A row in the deployments table (per-site version number, source, size)
+ * - A file tree under deployments/<userId>/<siteId>/<deploymentId>/ whose files
+ *   are hard links into the content-addressed blob store, plus a manifest
+ *   (path -> hash, size) on the row, so a redeploy only stores changed files
+ *
+ * New trees are built in a staging directory, then published by switching the
+ * live site symlink (see StorageManager.activateDeployment), so visitors never
+ * see a half-written site and a failed deploy leaves the live site untouched.
+ * Rolling back is the same pointer switch to an older tree.
+ *
+ * Preview deployments are published trees that are not switched in. They are
+ * served on <previewId>--<subdomain> hosts until they expire or are promoted.
+ */
+
+// Columns returned by the deployments API
+const DEPLOYMENT_COLUMNS = 'id, site_id, version, created_by, source, type, file_count, size_bytes, meta, commit_sha, preview_id, preview_expires_at, created_at';
+
+// Number of deployments kept per site; older inactive trees are pruned
+const MAX_DEPLOYMENTS_PER_SITE = parseInt(process.env.MAX_DEPLOYMENTS_PER_SITE) || 20;
+
+// How long preview deployments are served before they expire
+const PREVIEW_TTL_HOURS = parseInt(process.env.PREVIEW_TTL_HOURS) || 72;
+
+/**
+ * Collect the blob hashes referenced by deployment manifests
+ * @param {Array<Object|string|null>} manifests - Manifests, as objects or stored JSON
+ * @returns {string[]} - Unique blob hashes
+ */
+function getManifestHashes(manifests) {
+  const hashes = new Set();
+  for (const manifest of manifests) {
+    if (!manifest) {
+      continue;
+    }
+    const entries = typeof manifest === 'string' ? JSON.parse(manifest) : manifest;
+    for (const { hash } of Object.values(entries)) {
+      hashes.add(hash);
+    }
+  }
+  return [...hashes];
+}
+
+class DeploymentManager {
+  /**
+   * Generate a deployment ID
+   */
+  generateId() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  /**
+   * Create an empty staging directory for a new deployment
+   * @returns {Promise<{id: string, dir: string}>} - Deployment ID and staging directory
+   */
+  async prepareDeployment(userId, siteId) {
+    const deploymentId = this.generateId();
+    const dir = await storage.createStagingDir(userId, siteId, deploymentId);
+    return { id: deploymentId, dir };
+  }
+
+  /**
+   * Create a staging directory pre-filled with the site's current live files
+   * @returns {Promise<{id: string, dir: string}>} - Deployment ID and staging directory
+   */
+  async stageFromActive(userId, siteId) {
+    const staged = await this.prepareDeployment(userId, siteId);
+
+    try {
+      if (await storage.siteExists(userId, siteId)) {
+        await storage.copyDirectory(storage.getSiteDir(userId, siteId), staged.dir);
+      }
+    } catch (error) {
+      await this.discardDeployment(userId, siteId, staged.id);
+      throw error;
+    }
+
+    return staged;
+  }
+
+  /**
+   * Remove a staged deployment that will not be published
+   * @param {Object} [manifest] - Set once the tree was moved into the blob store
+   */
+  async discardDeployment(userId, siteId, deploymentId, manifest = null) {
+    await storage.deleteDeployment(userId, siteId, deploymentId);
+    if (manifest) {
+      await storage.sweepBlobs(getManifestHashes([manifest]));
+    }
+  }
+
+  /**
+   * Publish a staged deployment: record it and make it the live site
+   * @param {Object} options
+   * @param {string} options.userId - Site owner ID
+   * @param {string} options.siteId - Site ID
+   * @param {string} options.deploymentId - ID returned by prepareDeployment/stageFromActive
+   * @param {string} options.source - 'upload', 'editor' or 'git'
+   * @param {string} [options.type] - Upload type ('html', 'zip')
+   * @param {string[]} [options.files] - Files included in the deployment
+   * @param {number} [options.size] - Total size in bytes
+   * @param {Object} [options.meta] - Extra metadata stored as JSON
+   * @param {string} [options.commitSha] - Commit the deployment was built from (git pushes)
+   * @param {Object} [options.sanitizeReport] - What sanitization removed (see SanitizeReport)
+   * @param {Object} [options.linkReport] - Broken references found in the files (see LinkReport)
+   * @param {Object} [options.siteRules] - Rules compiled from _redirects and _headers (see site-rules.js)
+   * @returns {Promise<Object>} - The created deployment record
+   */
+  async createDeployment({ userId, siteId, deploymentId, source, type = null, files = [], size = 0, meta = null, commitSha = null, sanitizeReport = null, linkReport = null, siteRules = null }) {
+    const db = getDB();
+    const previous = db.get('SELECT active_deployment_id FROM sites WHERE id = ?', [siteId]);
+    // Sites from before deployments existed have no previous deployment to go
+    // back to; their original directory is kept until the new one is recorded
+    let legacyDir = null;
+    let manifest = null;
+
+    try {
+      const finalized = await storage.finalizeStagingDir(userId, siteId, deploymentId);
+      manifest = finalized.manifest;
+      console.log(`Deployment ${deploymentId} stored ${finalized.newBlobs} new blob(s), ${finalized.newBytes} bytes`);
+      legacyDir = await storage.activateDeployment(userId, siteId, deploymentId, { keepLegacy: true });
+
+      db.transaction(() => {
+        this.insertDeployment({ userId, siteId, deploymentId, source, type, files, size, meta, manifest, commitSha, sanitizeReport, linkReport, siteRules });
+
+        db.run(
+          'UPDATE sites SET active_deployment_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [deploymentId, siteId]
+        );
+      })();
+    } catch (error) {
+      // Put the previous tree back if the new one was already switched in
+      if (previous && previous.active_deployment_id) {
+        await storage.activateDeployment(userId, siteId, previous.active_deployment_id).catch(() => {});
+      } else if (legacyDir) {
+        await storage.restoreLegacyDir(userId, siteId, legacyDir).catch(() => {});
+      }
+      await this.discardDeployment(userId, siteId, deploymentId, manifest);
+      throw error;
+    }
+    await storage.removeLegacyDir(legacyDir);
+
+    console.log(`Deployment ${deploymentId} published for site ${siteId} (${source})`);
+    await this.pruneDeployments(userId, siteId);
+    await this.refreshUsage(userId, siteId);
+    return this.getDeployment(siteId, deploymentId);
+  }
+
+  /**
+   * Insert a deployment row with the next per-site version number
+   */
+  insertDeployment({ userId, siteId, deploymentId, source, type = null, files = [], size = 0, meta = null, manifest = null, commitSha = null, sanitizeReport = null, linkReport = null, siteRules = null, previewId = null }) {
+    const db = getDB();
+    const { nextVersion } = db.get(
+      'SELECT COALESCE(MAX(version), 0) + 1 AS nextVersion FROM deployments WHERE site_id = ?',
+      [siteId]
+    );
+
+    db.run(
+      `INSERT INTO deployments (id, site_id, version, created_by, source, type, file_count, size_bytes, meta, manifest, commit_sha, sanitize_report, link_report, site_rules, preview_id, preview_expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)`,
+      [
+        deploymentId, siteId, nextVersion, userId, source, type, files.length, size,
+        meta ? JSON.stringify(meta) : null, manifest ? JSON.stringify(manifest) : null, commitSha,
+        sanitizeReport ? JSON.stringify(sanitizeReport) : null,
+        linkReport ? JSON.stringify(linkReport) : null,
+        siteRules ? JSON.stringify(siteRules) : null,
+        previewId, previewId, `+${PREVIEW_TTL_HOURS} hours`
+      ]
+    );
+  }
+
+  /**
+   * Publish a staged deployment as a preview without touching the live site
+   * @param {Object} options - Same as createDeployment
+   * @returns {Promise<Object>} - The created deployment record (with preview_id)
+   */
+  async createPreview({ userId, siteId, deploymentId, source, type = null, files = [], size = 0, meta = null, sanitizeReport = null, linkReport = null, siteRules = null }) {
+    const previewId = crypto.randomBytes(4).toString('hex');
+    let manifest = null;
+
+    try {
+      ({ manifest } = await storage.finalizeStagingDir(userId, siteId, deploymentId));
+      this.insertDeployment({ userId, siteId, deploymentId, source, type, files, size, meta, manifest, sanitizeReport, linkReport, siteRules, previewId });
+    } catch (error) {
+      await this.discardDeployment(userId, siteId, deploymentId, manifest);
+      throw error;
+    }
+
+    console.log(`Preview ${previewId} (deployment ${deploymentId}) created for site ${siteId}`);
+    await this.refreshUsage(userId, siteId);
+    return this.getDeployment(siteId, deploymentId);
+  }
+
+  /**
+   * Make a preview deployment the live site
+   * @param {Object} site - Site record (must include id and owner_id)
+   * @param {string} deploymentId - Preview deployment to promote
+   * @returns {Promise<Object|null>} - The promoted deployment, or null if not found/expired
+   */
+  async promote(site, deploymentId) {
+    const db = getDB();
+    const preview = db.get(
+      `SELECT id FROM deployments
+       WHERE id = ? AND site_id = ? AND preview_expires_at > datetime('now')`,
+      [deploymentId, site.id]
+    );
+    if (!preview) {
+      return null;
+    }
+
+    const deployment = await this.rollback(site, deploymentId);
+
+    console.log(`Preview deployment ${deploymentId} promoted to production for site ${site.id}`);
+    return deployment;
+  }
+
+  /**
+   * Delete preview deployments whose expiry time has passed
+   */
+  async cleanupExpiredPreviews() {
+    const db = getDB();
+    const expired = db.all(
+      `SELECT d.id, d.site_id, d.manifest, s.owner_id FROM deployments d
+       JOIN sites s ON s.id = d.site_id
+       WHERE d.preview_expires_at <= datetime('now')
+         AND d.id != COALESCE(s.active_deployment_id, '')`
+    );
+
+    for (const { id, site_id: siteId, owner_id: ownerId } of expired) {
+      db.run('DELETE FROM deployments WHERE id = ?', [id]);
+      await storage.deleteDeployment(ownerId, siteId, id);
+    }
+
+    if (expired.length > 0) {
+      console.log(`Cleaned up ${expired.length} expired preview deployment(s)`);
+      await storage.sweepBlobs(getManifestHashes(expired.map(row => row.manifest)));
+      for (const { site_id: siteId, owner_id: ownerId } of expired) {
+        await this.refreshUsage(ownerId, siteId);
+      }
+    }
+  }
+
+  /**
+   * Delete the oldest inactive deployments beyond MAX_DEPLOYMENTS_PER_SITE
+   * (unexpired previews are left to cleanupExpiredPreviews)
+   */
+  async pruneDeployments(userId, siteId) {
+    const db = getDB();
+    const stale = db.all(
+      `SELECT d.id, d.manifest FROM deployments d
+       JOIN sites s ON s.id = d.site_id
+       WHERE d.site_id = ? AND d.id != COALESCE(s.active_deployment_id, '')
+         AND d.preview_expires_at IS NULL
+       ORDER BY d.version DESC
+       LIMIT -1 OFFSET ?`,
+      [siteId, MAX_DEPLOYMENTS_PER_SITE - 1]
+    );
+
+    for (const { id } of stale) {
+      db.run('DELETE FROM deployments WHERE id = ?', [id]);
+      await storage.deleteDeployment(userId, siteId, id);
+    }
+
+    if (stale.length > 0) {
+      console.log(`Pruned ${stale.length} old deployment(s) for site ${siteId}`);
+      await storage.sweepBlobs(getManifestHashes(stale.map(row => row.manifest)));
+    }
+  }
+
+  /**
+   * Blob hashes used by any of a site's deployments, read before the site is
+   * deleted so only those blobs are swept afterwards
+   * @returns {string[]}
+   */
+  getSiteBlobHashes(siteId) {
+    const db = getDB();
+    const rows = db.all('SELECT manifest FROM deployments WHERE site_id = ?', [siteId]);
+    return getManifestHashes(rows.map(row => row.manifest));
+  }
+
+  /**
+   * Recalculate a site's logical and physical storage usage into the quotas table
+   * @returns {Promise<{logicalBytes: number, physicalBytes: number}>}
+   */
+  async refreshUsage(userId, siteId) {
+    const usage = await storage.getSiteUsage(userId, siteId);
+    const db = getDB();
+    db.run(
+      `INSERT INTO quotas (site_id, storage_bytes, logical_bytes) VALUES (?, ?, ?)
+       ON CONFLICT(site_id) DO UPDATE SET storage_bytes = excluded.storage_bytes, logical_bytes = excluded.logical_bytes`,
+      [siteId, usage.physicalBytes, usage.logicalBytes]
+    );
+    return usage;
+  }
+
+  /**
+   * List deployments for a site, newest first
+   */
+  listDeployments(siteId) {
+    const db = getDB();
+    return db.all(
+      `SELECT ${DEPLOYMENT_COLUMNS} FROM deployments WHERE site_id = ? ORDER BY version DESC`,
+      [siteId]
+    ).map(row => this.formatDeployment(row));
+  }
+
+  /**
+   * Get a single deployment belonging to a site
+   */
+  getDeployment(siteId, deploymentId) {
+    const db = getDB();
+    const row = db.get(
+      `SELECT ${DEPLOYMENT_COLUMNS} FROM deployments WHERE id = ? AND site_id = ?`,
+      [deploymentId, siteId]
+    );
+    return row ? this.formatDeployment(row) : null;
+  }
+
+  /**
+   * Get the sanitization report stored with a deployment
+   * @returns {Object|null} - Parsed report, or null if none was recorded
+   */
+  getSanitizeReport(siteId, deploymentId) {
+    const db = getDB();
+    const row = db.get(
+      'SELECT sanitize_report FROM deployments WHERE id = ? AND site_id = ?',
+      [deploymentId, siteId]
+    );
+    if (!row || !row.sanitize_report) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(row.sanitize_report);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the link check report stored with a deployment
+   * @returns {Object|null} - Parsed report, or null if none was recorded
+   */
+  getLinkReport(siteId, deploymentId) {
+    const db = getDB();
+    const row = db.get(
+      'SELECT link_report FROM deployments WHERE id = ? AND site_id = ?',
+      [deploymentId, siteId]
+    );
+    if (!row || !row.link_report) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(row.link_report);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Switch the live site back to a previous deployment
+   * A preview switched in this way becomes regular history and no longer expires.
+   * @param {Object} site - Site record (must include id and owner_id)
+   * @param {string} deploymentId - Deployment to roll back to
+   * @returns {Promise<Object|null>} - The now-active deployment, or null if not found
+   */
+  async rollback(site, deploymentId) {
+    const deployment = this.getDeployment(site.id, deploymentId);
+    if (!deployment) {
+      return null;
+    }
+
+    if (!await storage.deploymentExists(site.owner_id, site.id, deploymentId)) {
+      throw new Error(`Deployment files missing for ${deploymentId}`);
+    }
+
+    await storage.activateDeployment(site.owner_id, site.id, deploymentId);
+
+    const db = getDB();
+    db.transaction(() => {
+      db.run(
+        'UPDATE sites SET active_deployment_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [deploymentId, site.id]
+      );
+      db.run('UPDATE deployments SET preview_expires_at = NULL WHERE id = ?', [deploymentId]);
+    })();
+
+    await this.refreshUsage(site.owner_id, site.id);
+
+    console.log(`Site ${site.id} rolled back to deployment ${deploymentId} (v${deployment.version})`);
+    return { ...deployment, preview_expires_at: null };
+  }
+
+  /**
+   * Parse JSON metadata on a deployment row
+   */
+  formatDeployment(row) {
+    let meta = null;
+    if (row.meta) {
+      try {
+        meta = JSON.parse(row.meta);
+      } catch (error) {
+        meta = null;
+      }
+    }
+    return { ...row, meta };
+  }
+}
+
+// Export singleton instance
+const deploymentManager = new DeploymentManager();
+
+// Clean up expired previews every 10 minutes
+setInterval(() => {
+  deploymentManager.cleanupExpiredPreviews().catch(error => {
+    console.error('Preview cleanup error:', error);
+  });
+}, 10 * 60 * 1000).unref();
+
+module.exports = {
+  deploymentManager,
+  DeploymentManager,
+  PREVIEW_TTL_HOURS
+};
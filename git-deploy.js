@@ -0,0 +1,477 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const { spawn, execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const path = require('path');
+const { getDB } = require('./db');
+const { storage } = require('./storage');
+const { uploadProcessor, getSiteSanitizeProfile } = require('./upload');
+const { deploymentManager } = require('./deployments');
+const { getSiteUrl } = require('./subdomain');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Git deploy module for Tinny
+ *
+ * Serves a bare repository per site over git smart-HTTP at
+ * /git/<subdomain>.git (via `git http-backend`). Pushes are authenticated with
+ * HTTP Basic auth using the account email and password, or any username with
+ * a deploy token as the password.
+ *
+ * When a push updates the site's deploy branch (sites.git_branch), the commit
+ * is exported with `git archive` and deployed through the same validation and
+ * sanitization as a ZIP upload. The result is reported back to the pushing
+ * client as "remote:" lines; a commit that fails validation is rejected by
+ * moving the branch back to where it was.
+ */
+
+// Largest request body accepted from a git client (pack data)
+const MAX_GIT_PUSH_BYTES = parseInt(process.env.MAX_GIT_PUSH_BYTES) || 50_000_000; // 50MB
+
+// Smart-HTTP endpoints served; everything else (dumb protocol) is refused
+const GIT_SERVICES = ['git-upload-pack', 'git-receive-pack'];
+
+// Deploy tokens are shown once, stored as SHA-256 hashes
+const TOKEN_PREFIX = 'tny_';
+
+// Branch names accepted for sites.git_branch
+const BRANCH_PATTERN = /^(?!.*\.\.)(?!\/)(?!.*\/$)[A-Za-z0-9._\/-]{1,100}$/;
+
+// _redirects/_headers errors listed in the push output (the rest are counted)
+const MAX_PUSH_RULE_ERRORS = 10;
+
+class GitDeployManager {
+  /**
+   * Run a git command against a site's bare repository
+   */
+  async git(repoDir, args) {
+    const { stdout } = await execFileAsync('git', ['--git-dir', repoDir, ...args], {
+      maxBuffer: 1024 * 1024
+    });
+    return stdout.trim();
+  }
+
+  /**
+   * Create the site's bare repository if it does not exist yet
+   * @returns {Promise<string>} - Repository path
+   */
+  async ensureRepo(site) {
+    const repoDir = storage.getRepoDir(site.owner_id, site.id);
+
+    try {
+      await fs.access(repoDir);
+    } catch (error) {
+      await fs.mkdir(repoDir, { recursive: true });
+      await execFileAsync('git', ['init', '--bare', '--quiet', repoDir]);
+      await this.git(repoDir, ['config', 'http.receivepack', 'true']);
+      console.log(`Created git repository for site ${site.id}`);
+    }
+
+    // Clones check out the deploy branch by default
+    await this.git(repoDir, ['symbolic-ref', 'HEAD', `refs/heads/${site.git_branch || 'main'}`]);
+    return repoDir;
+  }
+
+  /**
+   * Get the commit a branch points to, or null if it does not exist
+   */
+  async getBranchCommit(repoDir, branch) {
+    try {
+      return await this.git(repoDir, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}^{commit}`]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Deploy a commit from the site's repository
+   * @returns {Promise<Object>} - { deployment, ruleReport }: the created deployment
+   *   record and the rule report of its _redirects and _headers files
+   */
+  async deployCommit(site, userId, commitSha, branch) {
+    const repoDir = storage.getRepoDir(site.owner_id, site.id);
+    const zipPath = storage.getTempFilePath(`git_${site.id}_${commitSha}.zip`);
+
+    console.log(`Starting git deploy: site=${site.id}, subdomain=${site.subdomain}, branch=${branch}, commit=${commitSha}`);
+
+    try {
+      await this.git(repoDir, ['archive', '--format=zip', '-o', zipPath, commitSha]);
+      const { size } = await fs.stat(zipPath);
+
+      const staged = await deploymentManager.prepareDeployment(site.owner_id, site.id);
+      let processResult;
+      try {
+        processResult = await uploadProcessor.processUpload(
+          { path: zipPath, originalname: `${commitSha}.zip`, size },
+          'zip',
+          staged.dir,
+          {
+            sanitizeProfile: getSiteSanitizeProfile(site),
+            optimize: Boolean(site.optimize_assets),
+            cleanUrls: Boolean(site.clean_urls),
+            spa: site.routing_mode === 'spa'
+          }
+        );
+      } catch (error) {
+        await deploymentManager.discardDeployment(site.owner_id, site.id, staged.id);
+        throw error;
+      }
+
+      const deployment = await deploymentManager.createDeployment({
+        userId,
+        siteId: site.id,
+        deploymentId: staged.id,
+        source: 'git',
+        type: 'zip',
+        files: processResult.files,
+        size: processResult.size,
+        meta: { branch },
+        commitSha,
+        sanitizeReport: processResult.sanitizeReport,
+        linkReport: processResult.linkReport,
+        siteRules: processResult.siteRules
+      });
+      return { deployment, ruleReport: processResult.ruleReport };
+    } finally {
+      // processUpload removes the archive itself; this covers failures before it runs
+      await fs.rm(zipPath, { force: true });
+    }
+  }
+
+  /**
+   * Authenticate HTTP Basic credentials (email + password, or a deploy token)
+   * @returns {Promise<Object|null>} - { id, email } or null
+   */
+  async authenticate(authorization) {
+    if (!authorization || !authorization.startsWith('Basic ')) {
+      return null;
+    }
+
+    const decoded = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      return null;
+    }
+
+    const username = decoded.slice(0, separator);
+    const password = decoded.slice(separator + 1);
+    const db = getDB();
+
+    if (password.startsWith(TOKEN_PREFIX)) {
+      const token = db.get(
+        `SELECT t.id, u.id AS user_id, u.email FROM deploy_tokens t
+         JOIN users u ON u.id = t.user_id
+         WHERE t.token_hash = ?`,
+        [this.hashToken(password)]
+      );
+      if (!token) {
+        return null;
+      }
+
+      db.run('UPDATE deploy_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [token.id]);
+      return { id: token.user_id, email: token.email };
+    }
+
+    const user = db.get('SELECT id, email, password_hash FROM users WHERE email = ?', [username.toLowerCase().trim()]);
+    if (!user || !await bcrypt.compare(password, user.password_hash)) {
+      return null;
+    }
+
+    return { id: user.id, email: user.email };
+  }
+
+  /**
+   * Hash a deploy token for storage/lookup
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Create a deploy token for a user
+   * @returns {Object} - Token record including the plain token (only returned here)
+   */
+  createToken(userId, name) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const token = TOKEN_PREFIX + crypto.randomBytes(20).toString('hex');
+
+    const db = getDB();
+    db.run(
+      'INSERT INTO deploy_tokens (id, user_id, name, token_hash) VALUES (?, ?, ?, ?)',
+      [id, userId, name, this.hashToken(token)]
+    );
+
+    console.log(`Deploy token ${id} created for user ${userId}`);
+    return { id, name, token };
+  }
+
+  /**
+   * List a user's deploy tokens (without token values)
+   */
+  listTokens(userId) {
+    const db = getDB();
+    return db.all(
+      'SELECT id, name, last_used_at, created_at FROM deploy_tokens WHERE user_id = ? ORDER BY created_at DESC',
+      [userId]
+    );
+  }
+
+  /**
+   * Revoke a deploy token
+   * @returns {boolean} - True if a token was deleted
+   */
+  revokeToken(userId, tokenId) {
+    const db = getDB();
+    return db.run('DELETE FROM deploy_tokens WHERE id = ? AND user_id = ?', [tokenId, userId]).changes > 0;
+  }
+}
+
+/**
+ * Append progress messages to a receive-pack response so the client prints
+ * them as "remote:" lines. Only possible when the client negotiated side-band
+ * (every packet then starts with a band byte 1-3); the response ends with a
+ * flush packet ("0000") that the messages are inserted before.
+ */
+function appendSidebandMessages(body, messages) {
+  const band = body[4];
+  if (body.length < 9 || body.slice(-4).toString() !== '0000' || ![1, 2, 3].includes(band)) {
+    return body;
+  }
+
+  const packets = messages.map(message => {
+    const payload = Buffer.concat([Buffer.from([2]), Buffer.from(`${message}\n`, 'utf8')]);
+    const length = (payload.length + 4).toString(16).padStart(4, '0');
+    return Buffer.concat([Buffer.from(length), payload]);
+  });
+
+  return Buffer.concat([body.slice(0, -4), ...packets, body.slice(-4)]);
+}
+
+/**
+ * Run `git http-backend` (CGI) for a request
+ * @param {Object} options
+ * @param {string} options.repoDir - Bare repository path
+ * @param {string} options.pathInfo - Path inside the repository (e.g. /info/refs)
+ * @param {string} options.remoteUser - Authenticated user (for logs/reflog)
+ * @param {boolean} options.buffer - Collect the response instead of streaming it
+ * @returns {Promise<{status: number, headers: Object, body: Buffer}|null>} - Buffered response
+ */
+function runHttpBackend(req, res, { repoDir, pathInfo, remoteUser, buffer = false }) {
+  return new Promise((resolve, reject) => {
+    const backend = spawn('git', ['http-backend'], {
+      env: {
+        ...process.env,
+        GIT_PROJECT_ROOT: path.dirname(repoDir),
+        GIT_HTTP_EXPORT_ALL: '1',
+        PATH_INFO: `/${path.basename(repoDir)}${pathInfo}`,
+        REQUEST_METHOD: req.method,
+        QUERY_STRING: new URL(req.originalUrl, 'http://localhost').search.slice(1),
+        CONTENT_TYPE: req.get('content-type') || '',
+        HTTP_CONTENT_ENCODING: req.get('content-encoding') || '',
+        GIT_PROTOCOL: req.get('git-protocol') || '',
+        REMOTE_USER: remoteUser,
+        REMOTE_ADDR: req.ip || ''
+      }
+    });
+
+    let received = 0;
+    req.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > MAX_GIT_PUSH_BYTES) {
+        backend.kill();
+        req.unpipe(backend.stdin);
+        if (!res.headersSent) {
+          res.status(413).send('Push too large');
+        }
+      }
+    });
+    req.pipe(backend.stdin);
+    backend.stdin.on('error', () => {}); // backend may exit before reading everything
+
+    let headerBuffer = Buffer.alloc(0);
+    let headers = null;
+    let status = 200;
+    const bodyChunks = [];
+
+    backend.stdout.on('data', (chunk) => {
+      if (headers) {
+        return buffer ? bodyChunks.push(chunk) : res.write(chunk);
+      }
+
+      // CGI response: headers, blank line, body
+      headerBuffer = Buffer.concat([headerBuffer, chunk]);
+      const end = headerBuffer.indexOf('\r\n\r\n');
+      if (end === -1) {
+        return;
+      }
+
+      headers = {};
+      for (const line of headerBuffer.slice(0, end).toString().split('\r\n')) {
+        const separator = line.indexOf(':');
+        const name = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+        if (name.toLowerCase() === 'status') {
+          status = parseInt(value) || 200;
+        } else {
+          headers[name] = value;
+        }
+      }
+
+      const rest = headerBuffer.slice(end + 4);
+      if (buffer) {
+        bodyChunks.push(rest);
+      } else {
+        res.writeHead(status, headers);
+        res.write(rest);
+      }
+    });
+
+    backend.stderr.on('data', (chunk) => {
+      console.warn(`git http-backend: ${chunk.toString().trim()}`);
+    });
+
+    backend.on('error', reject);
+
+    backend.on('close', (code) => {
+      if (res.headersSent && buffer) {
+        return resolve(null); // Already answered (push too large)
+      }
+      if (!headers) {
+        return reject(new Error(`git http-backend exited with code ${code}`));
+      }
+      if (buffer) {
+        return resolve({ status, headers, body: Buffer.concat(bodyChunks) });
+      }
+      res.end();
+      resolve(null);
+    });
+  });
+}
+
+/**
+ * Push output lines for the errors in a deploy's _redirects and _headers files
+ * @param {Object|null} ruleReport - From siteRules.compileSite()
+ * @returns {string[]}
+ */
+function describeRuleErrors(ruleReport) {
+  if (!ruleReport || !ruleReport.total) {
+    return [];
+  }
+
+  const lines = [`Tinny: ${ruleReport.total} error(s) in _redirects or _headers, those lines were skipped:`];
+  for (const error of ruleReport.errors.slice(0, MAX_PUSH_RULE_ERRORS)) {
+    lines.push(`Tinny:   ${error.line ? `${error.file}:${error.line} ` : ''}${error.message}`);
+  }
+  if (ruleReport.total > MAX_PUSH_RULE_ERRORS) {
+    lines.push(`Tinny:   …and ${ruleReport.total - MAX_PUSH_RULE_ERRORS} more`);
+  }
+  return lines;
+}
+
+// Export singleton instance
+const gitDeployManager = new GitDeployManager();
+
+/**
+ * Git Router
+ * Handles /git/<subdomain>.git/... smart-HTTP requests
+ */
+function createGitRouter() {
+  const router = express.Router();
+
+  // Failed authentication attempts count against the client
+  router.use(rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // Git clients send one unauthenticated request per operation
+    skipSuccessfulRequests: true,
+    message: 'Too many failed git requests, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false
+  }));
+
+  router.use(async (req, res) => {
+    const match = req.path.match(/^\/([a-z0-9-]+)\.git(\/.*)$/);
+    const service = req.query.service || (match && match[2].slice(1));
+
+    if (!match || !GIT_SERVICES.includes(service)) {
+      return res.status(404).send('Not found');
+    }
+
+    const [, subdomain, pathInfo] = match;
+    const isPush = req.method === 'POST' && pathInfo === '/git-receive-pack';
+
+    try {
+      const user = await gitDeployManager.authenticate(req.get('authorization'));
+      if (!user) {
+        res.set('WWW-Authenticate', 'Basic realm="Tinny Git", charset="UTF-8"');
+        return res.status(401).send('Authentication required');
+      }
+
+      const db = getDB();
+      const site = db.get('SELECT * FROM sites WHERE subdomain = ? AND owner_id = ?', [subdomain, user.id]);
+      if (!site) {
+        return res.status(404).send('Repository not found');
+      }
+
+      const repoDir = await gitDeployManager.ensureRepo(site);
+      const branch = site.git_branch || 'main';
+
+      if (!isPush) {
+        return await runHttpBackend(req, res, { repoDir, pathInfo, remoteUser: user.email });
+      }
+
+      const previousCommit = await gitDeployManager.getBranchCommit(repoDir, branch);
+      const response = await runHttpBackend(req, res, { repoDir, pathInfo, remoteUser: user.email, buffer: true });
+      if (!response) {
+        return;
+      }
+
+      const commitSha = await gitDeployManager.getBranchCommit(repoDir, branch);
+      const messages = [];
+
+      if (commitSha && commitSha !== previousCommit) {
+        try {
+          const { deployment, ruleReport } = await gitDeployManager.deployCommit(site, user.id, commitSha, branch);
+          messages.push(`Tinny: deployed ${commitSha.slice(0, 7)} as version ${deployment.version}`);
+          messages.push(...describeRuleErrors(ruleReport));
+          messages.push(`Tinny: ${getSiteUrl(site.subdomain)}`);
+        } catch (error) {
+          console.error('Git deploy error:', error);
+
+          // Keep the branch pointing at what is actually live
+          const args = previousCommit
+            ? ['update-ref', `refs/heads/${branch}`, previousCommit, commitSha]
+            : ['update-ref', '-d', `refs/heads/${branch}`, commitSha];
+          await gitDeployManager.git(repoDir, args).catch(() => {});
+
+          messages.push(`Tinny: deploy of ${commitSha.slice(0, 7)} rejected: ${error.message}`);
+          messages.push(`Tinny: branch ${branch} was reset, the live site is unchanged`);
+        }
+      } else {
+        messages.push(`Tinny: only pushes to ${branch} are deployed`);
+      }
+
+      res.writeHead(response.status, response.headers);
+      res.end(appendSidebandMessages(response.body, messages));
+    } catch (error) {
+      console.error('Git request error:', error);
+      if (!res.headersSent) {
+        res.status(500).send('Git request failed');
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  gitDeployManager,
+  GitDeployManager,
+  createGitRouter,
+  BRANCH_PATTERN
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * HTTP caching module for Tinny
+ *
+ * Validators and Cache-Control for files served from sites:
+ * - ETag: a hash of the bytes sent for HTML (after analytics injection), the
+ *   size and modification time for other files
+ * - Last-Modified: the file's modification time, or the time the deployment
+ *   went live if that is later (blobs shared between deployments keep the
+ *   modification time of their first upload)
+ * - Cache-Control: a default per file class (html, assets, media) that site
+ *   owners can override in the site settings (sites.cache_control) or per
+ *   path in a _headers file
+ *
+ * Conditional requests are answered through Express' req.fresh, which checks
+ * If-None-Match and If-Modified-Since against these headers.
+ */
+
+// HTML is always revalidated so new deployments show at once (a 304 is cheap);
+// other files have unversioned names, so they are cached briefly, media longer
+const CACHE_CONTROL_DEFAULTS = {
+  html: 'no-cache',
+  assets: 'public, max-age=300',
+  media: 'public, max-age=86400'
+};
+
+// File classes with their own Cache-Control; anything else is an asset
+const CACHE_CLASS_EXTENSIONS = {
+  html: ['.html', '.htm'],
+  media: [
+    '.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg', '.ico', '.bmp',
+    '.woff', '.woff2', '.ttf', '.otf', '.eot',
+    '.mp3', '.wav', '.ogg', '.m4a', '.mp4', '.webm', '.mov'
+  ]
+};
+
+// Comma-separated directives such as "public, max-age=600" or "no-store"
+const CACHE_CONTROL_PATTERN = /^[a-z-]+(?:=\d+)?(?:\s*,\s*[a-z-]+(?:=\d+)?)*$/i;
+const MAX_CACHE_CONTROL_LENGTH = 200;
+
+/**
+ * Cache class of a file by extension
+ * @returns {string} - 'html', 'media' or 'assets'
+ */
+function getCacheClass(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return Object.keys(CACHE_CLASS_EXTENSIONS).find(cacheClass => CACHE_CLASS_EXTENSIONS[cacheClass].includes(ext)) || 'assets';
+}
+
+/**
+ * Parse a site's stored Cache-Control overrides
+ * @param {string|null} value - sites.cache_control (JSON)
+ * @returns {Object} - { html?, assets?, media? }
+ */
+function parseCacheControl(value) {
+  if (!value) {
+    return {};
+  }
+  try {
+    return JSON.parse(value) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Validate Cache-Control overrides from the site settings
+ * Empty or null values fall back to the default.
+ * @param {Object} input - { html?, assets?, media? }
+ * @returns {Object} - { valid, overrides } or { valid: false, error }
+ */
+function validateCacheControl(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, error: 'cacheControl must be an object with html, assets and/or media values' };
+  }
+
+  const overrides = {};
+  for (const [cacheClass, value] of Object.entries(input)) {
+    if (!Object.hasOwn(CACHE_CONTROL_DEFAULTS, cacheClass)) {
+      return { valid: false, error: `Unknown cacheControl file class: ${cacheClass}. Must be one of: ${Object.keys(CACHE_CONTROL_DEFAULTS).join(', ')}` };
+    }
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+    const directives = typeof value === 'string' ? value.trim() : '';
+    if (directives.length > MAX_CACHE_CONTROL_LENGTH || !CACHE_CONTROL_PATTERN.test(directives)) {
+      return { valid: false, error: `Invalid Cache-Control value for ${cacheClass}: use directives such as "public, max-age=600" or "no-cache"` };
+    }
+    overrides[cacheClass] = directives;
+  }
+
+  return { valid: true, overrides };
+}
+
+/**
+ * Cache-Control for a site file
+ * @param {Object} site - Site row (cache_control overrides)
+ * @param {string} filePath - Served file
+ * @param {boolean} isPrivate - Password-protected or preview content; shared caches must not store it
+ * @param {string|null} [override] - Value from the site's _headers file, which wins over the settings
+ */
+function getCacheControl(site, filePath, isPrivate, override = null) {
+  const cacheClass = getCacheClass(filePath);
+  const value = override || parseCacheControl(site.cache_control)[cacheClass] || CACHE_CONTROL_DEFAULTS[cacheClass];
+
+  if (!isPrivate || /\b(?:private|no-store)\b/i.test(value)) {
+    return value;
+  }
+  return /\bpublic\b/i.test(value) ? value.replace(/\bpublic\b/i, 'private') : `private, ${value}`;
+}
+
+/**
+ * Strong ETag for content generated per request (HTML with injected analytics)
+ */
+function contentEtag(content) {
+  const hash = crypto.createHash('sha1').update(content).digest('base64').replace(/=+$/, '');
+  return `"${Buffer.byteLength(content).toString(16)}-${hash}"`;
+}
+
+/**
+ * ETag for a file sent as stored
+ * @param {fs.Stats} stats - The file's stats
+ */
+function fileEtag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * ETag of a compressed representation (each encoding needs its own validator)
+ * @param {string} etag - ETag of the uncompressed content
+ * @param {string|null} encoding - Content-Encoding, or null if sent as-is
+ */
+function encodedEtag(etag, encoding) {
+  return encoding ? etag.replace(/"$/, `-${encoding}"`) : etag;
+}
+
+/**
+ * Last-Modified date: the later of the file's modification time and deployedAt
+ * @param {fs.Stats} stats - The file's stats
+ * @param {string|null} deployedAt - SQLite UTC datetime the content went live
+ */
+function lastModified(stats, deployedAt) {
+  const deployed = deployedAt ? Date.parse(`${deployedAt.replace(' ', 'T')}Z`) : NaN;
+  const time = Number.isNaN(deployed) ? stats.mtimeMs : Math.max(stats.mtimeMs, deployed);
+  return new Date(time).toUTCString();
+}
+
+module.exports = {
+  getCacheClass,
+  getCacheControl,
+  parseCacheControl,
+  validateCacheControl,
+  contentEtag,
+  fileEtag,
+  encodedEtag,
+  lastModified,
+  CACHE_CONTROL_DEFAULTS
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * Background job module for Tinny
+ *
+ * Runs slow work (extracting, sanitizing and publishing uploads) outside the
+ * HTTP request. Jobs are kept in memory: routes enqueue a job and return its ID,
+ * and clients follow progress through GET /api/jobs/:jobId or its
+ * Server-Sent Events stream.
+ *
+ * Job states: queued -> running -> completed | failed
+ */
+
+// Jobs run at the same time (extraction is CPU and disk heavy)
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+// Finished jobs are forgotten after this long
+const JOB_RETENTION_MINUTES = parseInt(process.env.JOB_RETENTION_MINUTES) || 30;
+// Progress updates within a stage are sent at most this often
+const PROGRESS_INTERVAL_MS = 200;
+
+class JobManager extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} userId - Owner; only they can read the job
+   * @param {string} type - Job type, e.g. 'upload'
+   * @param {Function} run - async (progress) => result; progress(stage, current, total)
+   * @returns {Object} - Public job state
+   */
+  enqueue(userId, type, run) {
+    const job = {
+      id: crypto.randomBytes(12).toString('hex'),
+      userId,
+      type,
+      status: 'queued',
+      stage: 'queued',
+      current: null,
+      total: null,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      lastEmit: 0
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push({ job, run });
+    console.log(`Job ${job.id} queued (${type}) for user ${userId}`);
+
+    this.runNext();
+    return this.formatJob(job);
+  }
+
+  /**
+   * Start queued jobs while there is capacity
+   */
+  runNext() {
+    while (this.running < JOB_CONCURRENCY && this.queue.length > 0) {
+      const { job, run } = this.queue.shift();
+      this.running++;
+      this.execute(job, run).finally(() => {
+        this.running--;
+        this.runNext();
+      });
+    }
+  }
+
+  async execute(job, run) {
+    job.status = 'running';
+    this.update(job, 'starting', null, null, true);
+
+    try {
+      job.result = await run((stage, current = null, total = null) => {
+        this.update(job, stage, current, total);
+      });
+      job.status = 'completed';
+      job.stage = 'completed';
+      console.log(`Job ${job.id} completed`);
+    } catch (error) {
+      job.status = 'failed';
+      job.stage = 'failed';
+      // Routes can attach a client-facing error ({ error, code, details })
+      job.error = error.jobError || { error: error.message };
+      console.error(`Job ${job.id} failed:`, error);
+    }
+
+    job.finishedAt = new Date().toISOString();
+    this.emit(`job:${job.id}`, this.formatJob(job));
+
+    // Forget the job after the retention period
+    setTimeout(() => this.jobs.delete(job.id), JOB_RETENTION_MINUTES * 60 * 1000).unref();
+  }
+
+  /**
+   * Record progress; updates within the same stage are throttled
+   */
+  update(job, stage, current, total, force = false) {
+    const stageChanged = job.stage !== stage;
+    job.stage = stage;
+    job.current = current;
+    job.total = total;
+
+    const now = Date.now();
+    if (force || stageChanged || now - job.lastEmit >= PROGRESS_INTERVAL_MS || (total && current === total)) {
+      job.lastEmit = now;
+      this.emit(`job:${job.id}`, this.formatJob(job));
+    }
+  }
+
+  /**
+   * Get a job owned by userId
+   * @returns {Object|null} - Public job state
+   */
+  getJob(jobId, userId) {
+    const job = this.jobs.get(jobId);
+    return job && job.userId === userId ? this.formatJob(job) : null;
+  }
+
+  /**
+   * Listen for state changes of a job
+   * @returns {Function} - Call to stop listening
+   */
+  subscribe(jobId, listener) {
+    const eventName = `job:${jobId}`;
+    this.on(eventName, listener);
+    return () => this.off(eventName, listener);
+  }
+
+  /**
+   * Public view of a job
+   */
+  formatJob(job) {
+    return {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      stage: job.stage,
+      current: job.current,
+      total: job.total,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+// Export singleton instance
+const jobManager = new JobManager();
+// Every open SSE stream adds a listener
+jobManager.setMaxListeners(0);
+
+module.exports = {
+  jobManager,
+  JobManager,
+  JOB_CONCURRENCY,
+  JOB_RETENTION_MINUTES
+};
@@ -0,0 +1,307 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Parser: HtmlParser } = require('htmlparser2');
+const { siteRules } = require('./site-rules');
+
+/**
+ * Link validation module for Tinny
+ *
+ * Checks relative href/src/srcset/url() references in a deployment's HTML and
+ * CSS files against its file list. Findings:
+ * - broken_link: an <a>/<area> link to a page that does not exist
+ * - missing_asset: any other reference (image, script, stylesheet, font...) to a missing file
+ * - case_mismatch: the file exists with different letter case (works on macOS,
+ *   404 on the Linux host)
+ * - local_path: file:// or Windows drive/UNC paths that only work on the author's machine
+ *
+ * External URLs (http:, mailto:, data:, //host ...) and #fragments are not checked.
+ * Paths answered by a _redirects rule, or by the single-page-app fallback for
+ * page links, count as working. A reference repeated in a file is reported once
+ * with the lines it appears on.
+ */
+
+// Maximum issues kept in a report (the total is always counted)
+const MAX_LINK_REPORT_ISSUES = 200;
+// Line numbers kept per issue (the count covers every occurrence)
+const MAX_ISSUE_LINES = 20;
+
+// Attributes holding a URL, by tag
+const URL_ATTRIBUTES = {
+  a: ['href'],
+  area: ['href'],
+  link: ['href'],
+  img: ['src', 'srcset'],
+  source: ['src', 'srcset'],
+  script: ['src'],
+  iframe: ['src'],
+  embed: ['src'],
+  track: ['src'],
+  audio: ['src'],
+  video: ['src', 'poster'],
+  input: ['src'],
+  object: ['data']
+};
+
+// Links a visitor follows; a missing target is a broken link rather than a missing asset
+const NAVIGATION_TAGS = ['a', 'area'];
+
+const LOCAL_PATH_PATTERN = /^(?:file:|[a-z]:[\\/]|\\\\)/i;
+// Any URL scheme, or protocol-relative //host
+const EXTERNAL_URL_PATTERN = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]*)\1\s*\)|@import\s+(['"])([^'"]+)\3/gi;
+
+/**
+ * Map character offsets to 1-based line numbers; offsets must not decrease
+ */
+function createLineCounter(text) {
+  let offset = 0;
+  let line = 1;
+  return (index) => {
+    for (; offset < index; offset++) {
+      if (text.charCodeAt(offset) === 10) line++;
+    }
+    return line;
+  };
+}
+
+/**
+ * Collects link problems across the files of one deployment
+ */
+class LinkReport {
+  constructor() {
+    this.checkedFiles = 0;
+    this.checkedLinks = 0;
+    this.total = 0;
+    this.counts = { broken_link: 0, missing_asset: 0, case_mismatch: 0, local_path: 0 };
+    this.issues = [];
+    // Findings by type, file and ref, so repeats add a line instead of an issue
+    this.seen = new Map();
+  }
+
+  /**
+   * Record one finding
+   * Stored as { type, file, lines, count, ref, target?, actual? }
+   * @param {Object} finding - { type, file, line, ref, target?, actual? }
+   */
+  add({ line, ...finding }) {
+    const key = `${finding.type}\n${finding.file}\n${finding.ref}`;
+    const existing = this.seen.get(key);
+    if (existing) {
+      existing.count++;
+      if (existing.lines.length < MAX_ISSUE_LINES) {
+        existing.lines.push(line);
+      }
+      return;
+    }
+
+    const issue = { ...finding, lines: [line], count: 1 };
+    this.seen.set(key, issue);
+    this.total++;
+    this.counts[issue.type]++;
+    if (this.issues.length < MAX_LINK_REPORT_ISSUES) {
+      this.issues.push(issue);
+    }
+  }
+
+  toJSON() {
+    return {
+      checkedFiles: this.checkedFiles,
+      checkedLinks: this.checkedLinks,
+      total: this.total,
+      truncated: this.total > this.issues.length,
+      counts: this.counts,
+      issues: this.issues
+    };
+  }
+}
+
+class LinkChecker {
+  /**
+   * Check every HTML and CSS file of a site
+   * @param {string} dir - Directory holding the files
+   * @param {string[]} files - File paths relative to dir (forward slashes)
+   * @param {Object} [options]
+   * @param {boolean} [options.cleanUrls] - The site serves /about from about.html
+   * @param {boolean} [options.spa] - The site serves index.html for unknown pages
+   * @param {Object} [options.rules] - The site's rules from siteRules.compileSite()
+   * @returns {Promise<Object>} - LinkReport JSON
+   */
+  async checkSite(dir, files, { cleanUrls = false, spa = false, rules = null } = {}) {
+    const report = new LinkReport();
+    const site = {
+      files: new Set(files),
+      lowerCase: new Map(files.map(file => [file.toLowerCase(), file])),
+      cleanUrls,
+      spa: spa && files.includes('index.html'),
+      rules: rules ? siteRules.prepare(rules) : null
+    };
+
+    for (const file of files) {
+      const ext = path.extname(file).toLowerCase();
+      if (ext !== '.html' && ext !== '.htm' && ext !== '.css') {
+        continue;
+      }
+
+      const content = await fs.readFile(path.join(dir, file), 'utf8');
+      if (ext === '.css') {
+        this.checkCss(content, file, site, report);
+      } else {
+        this.checkHtml(content, file, site, report);
+      }
+      report.checkedFiles++;
+    }
+
+    return report.toJSON();
+  }
+
+  /**
+   * Check URL attributes, inline styles and <style> blocks of an HTML file
+   */
+  checkHtml(content, file, site, report) {
+    const lineAt = createLineCounter(content);
+    let inStyle = false;
+
+    const parser = new HtmlParser({
+      onopentag: (tagName, attribs) => {
+        const line = lineAt(parser.startIndex);
+        const navigation = NAVIGATION_TAGS.includes(tagName);
+
+        for (const attribute of URL_ATTRIBUTES[tagName] || []) {
+          const value = attribs[attribute];
+          if (value === undefined) continue;
+
+          const refs = attribute === 'srcset'
+            ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+            : [value];
+          refs.forEach(ref => this.checkRef(ref, { file, line, navigation }, site, report));
+        }
+
+        if (attribs.style) {
+          this.checkCssText(attribs.style, () => line, file, site, report);
+        }
+        inStyle = tagName === 'style';
+      },
+      ontext: (text) => {
+        if (inStyle) {
+          const start = parser.startIndex;
+          this.checkCssText(text, (index) => lineAt(start + index), file, site, report);
+        }
+      },
+      onclosetag: () => {
+        inStyle = false;
+      }
+    }, { decodeEntities: true });
+
+    parser.write(content);
+    parser.end();
+  }
+
+  /**
+   * Check url() and @import references of a CSS file
+   */
+  checkCss(content, file, site, report) {
+    this.checkCssText(content, createLineCounter(content), file, site, report);
+  }
+
+  /**
+   * Check url() and @import references in CSS text
+   * @param {Function} lineAt - Maps an offset in text to a line number
+   */
+  checkCssText(text, lineAt, file, site, report) {
+    for (const match of text.matchAll(CSS_URL_PATTERN)) {
+      const ref = match[2] !== undefined ? match[2] : match[4];
+      this.checkRef(ref, { file, line: lineAt(match.index), navigation: false }, site, report);
+    }
+  }
+
+  /**
+   * Resolve one reference against the site's files and record any problem
+   */
+  checkRef(ref, { file, line, navigation }, site, report) {
+    const value = (ref || '').trim();
+    if (!value || value.startsWith('#')) {
+      return;
+    }
+
+    if (LOCAL_PATH_PATTERN.test(value)) {
+      report.add({ type: 'local_path', file, line, ref: value });
+      return;
+    }
+    if (EXTERNAL_URL_PATTERN.test(value)) {
+      return;
+    }
+
+    let target = value.split(/[?#]/)[0];
+    if (!target) {
+      return;
+    }
+    report.checkedLinks++;
+
+    try {
+      target = decodeURIComponent(target);
+    } catch (error) {
+      // Keep malformed escapes as written
+    }
+    // Browsers treat backslashes in URL paths as slashes
+    target = target.replace(/\\/g, '/');
+
+    const base = target.startsWith('/') ? '' : path.posix.dirname(file);
+    const resolved = path.posix.normalize(path.posix.join(base, target)).replace(/^\/+/, '');
+    const directory = target.endsWith('/') || resolved === '.';
+    const candidates = directory
+      ? [path.posix.join(resolved, 'index.html')]
+      : [resolved, `${resolved}/index.html`];
+    // With clean URLs, /about and /about/ also serve about.html
+    const page = resolved.replace(/\/+$/, '');
+    if (site.cleanUrls && page && page !== '.') {
+      candidates.push(`${page}.html`);
+    }
+
+    if (!resolved.startsWith('..')) {
+      if (candidates.some(candidate => site.files.has(candidate))) {
+        return;
+      }
+
+      const actual = candidates.map(candidate => site.lowerCase.get(candidate.toLowerCase())).find(Boolean);
+      if (actual) {
+        report.add({ type: 'case_mismatch', file, line, ref: value, target: candidates[0], actual });
+        return;
+      }
+
+      if (this.isHandledBySite(`/${resolved}`, navigation, site)) {
+        return;
+      }
+    }
+
+    report.add({
+      type: navigation ? 'broken_link' : 'missing_asset',
+      file,
+      line,
+      ref: value,
+      target: candidates[0]
+    });
+  }
+
+  /**
+   * Whether the server answers a path with no file anyway: a _redirects
+   * redirect or 200 rewrite, or index.html for page links in single-page apps
+   * @param {string} urlPath - Resolved path, starting with /
+   */
+  isHandledBySite(urlPath, navigation, site) {
+    const redirect = siteRules.findRedirect(site.rules, urlPath);
+    if (redirect && redirect.status !== 404) {
+      return true;
+    }
+    return navigation && site.spa;
+  }
+}
+
+// Export singleton instance
+const linkChecker = new LinkChecker();
+
+module.exports = {
+  linkChecker,
+  LinkChecker,
+  LinkReport,
+  MAX_LINK_REPORT_ISSUES
+};
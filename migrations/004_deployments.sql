@@ -0,0 +1,23 @@
+-- Migration: Deployment history
+-- Date: 2025-02-03
+-- Purpose: Record every upload/editor save as an immutable deployment so sites can be rolled back
+
+CREATE TABLE IF NOT EXISTS deployments (
+  id TEXT PRIMARY KEY, -- random hex ID
+  site_id TEXT NOT NULL,
+  version INTEGER NOT NULL, -- per-site sequence number (1, 2, 3...)
+  created_by TEXT, -- user who triggered the deployment
+  source TEXT NOT NULL, -- 'upload', 'editor'
+  type TEXT, -- upload type ('html', 'zip') when source is 'upload'
+  file_count INTEGER DEFAULT 0,
+  size_bytes INTEGER DEFAULT 0,
+  meta TEXT, -- JSON metadata (e.g. edited file name)
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deployments_site_version ON deployments(site_id, version);
+
+-- Deployment currently served for each site
+ALTER TABLE sites ADD COLUMN active_deployment_id TEXT NULL;
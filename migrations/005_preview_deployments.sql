@@ -0,0 +1,12 @@
+-- Migration: Preview deployments
+-- Date: 2025-02-10
+-- Purpose: Serve unpublished deployments on <previewId>--<subdomain> hosts until they expire
+
+-- Short public ID used in the preview hostname
+ALTER TABLE deployments ADD COLUMN preview_id TEXT NULL;
+
+-- When the preview stops being served and is cleaned up (NULL once promoted)
+ALTER TABLE deployments ADD COLUMN preview_expires_at DATETIME NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deployments_preview_id ON deployments(preview_id);
+CREATE INDEX IF NOT EXISTS idx_deployments_preview_expires ON deployments(preview_expires_at);
@@ -0,0 +1,10 @@
+-- Migration: Content-addressed blob store
+-- Date: 2025-02-17
+-- Purpose: Record per-deployment file manifests and track logical vs physical storage usage
+
+-- JSON manifest of the deployment tree: { "path": { "hash": "<sha256>", "size": 123 } }
+ALTER TABLE deployments ADD COLUMN manifest TEXT NULL;
+
+-- quotas.storage_bytes holds physical usage (distinct blobs across all of a site's deployments);
+-- logical_bytes is the size of the live site as served
+ALTER TABLE quotas ADD COLUMN logical_bytes INTEGER DEFAULT 0;
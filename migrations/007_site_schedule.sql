@@ -0,0 +1,15 @@
+-- Migration: Scheduled publish and site expiry
+-- Date: 2025-02-24
+-- Purpose: Let owners publish a site at a set time and take it offline automatically
+
+-- When a disabled site should go live (cleared once published)
+ALTER TABLE sites ADD COLUMN publish_at DATETIME NULL;
+
+-- When the site stops being served and shows the expired page instead
+ALTER TABLE sites ADD COLUMN expires_at DATETIME NULL;
+
+-- Optional message shown on the expired page (falls back to EXPIRED_PAGE_MESSAGE)
+ALTER TABLE sites ADD COLUMN expired_message TEXT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sites_publish_at ON sites(publish_at);
+CREATE INDEX IF NOT EXISTS idx_sites_expires_at ON sites(expires_at);
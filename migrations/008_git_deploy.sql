@@ -0,0 +1,22 @@
+-- Migration: Deploy by git push
+-- Date: 2025-03-03
+-- Purpose: Per-site git repositories, deploy tokens and commit tracking on deployments
+
+-- Commit a 'git' source deployment was built from
+ALTER TABLE deployments ADD COLUMN commit_sha TEXT NULL;
+
+-- Branch whose pushes are deployed
+ALTER TABLE sites ADD COLUMN git_branch TEXT DEFAULT 'main';
+
+-- Tokens usable instead of the account password for git pushes
+CREATE TABLE IF NOT EXISTS deploy_tokens (
+  id TEXT PRIMARY KEY, -- random hex ID
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL, -- SHA-256 of the token
+  last_used_at DATETIME NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_deploy_tokens_user_id ON deploy_tokens(user_id);
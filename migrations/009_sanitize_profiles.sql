@@ -0,0 +1,9 @@
+-- Migration: Per-site HTML sanitization profiles
+-- Date: 2025-03-10
+-- Purpose: Let owners choose how strictly uploaded and edited HTML is sanitized
+
+-- Profile applied to every HTML write for the site: strict, standard or trusted
+ALTER TABLE sites ADD COLUMN sanitize_profile TEXT DEFAULT 'strict' CHECK (sanitize_profile IN ('strict', 'standard', 'trusted'));
+
+-- Set by an admin; only approved users may use the trusted (unsanitized) profile
+ALTER TABLE users ADD COLUMN trusted_html INTEGER DEFAULT 0;
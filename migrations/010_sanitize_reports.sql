@@ -0,0 +1,6 @@
+-- Migration: Sanitization reports
+-- Date: 2025-03-12
+-- Purpose: Keep what sanitization removed from each deployment's HTML
+
+-- JSON report (profile, total, summary, issues) built while the deployment was processed
+ALTER TABLE deployments ADD COLUMN sanitize_report TEXT NULL;
@@ -0,0 +1,7 @@
+-- Migration: Deploy-time asset optimization
+-- Date: 2025-03-16
+-- Purpose: Let owners opt in to minifying and precompressing uploaded archives
+
+-- When set, archive deployments minify HTML/CSS/JS, strip JPEG metadata and
+-- write .gz/.br siblings for text assets
+ALTER TABLE sites ADD COLUMN optimize_assets INTEGER DEFAULT 0;
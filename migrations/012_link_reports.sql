@@ -0,0 +1,6 @@
+-- Migration: Link check reports
+-- Date: 2025-03-18
+-- Purpose: Keep the broken links and missing assets found in each deployment
+
+-- JSON report (counts, issues) built when an archive deployment was processed
+ALTER TABLE deployments ADD COLUMN link_report TEXT NULL;
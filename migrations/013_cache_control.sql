@@ -0,0 +1,8 @@
+-- Migration: Per-site browser caching
+-- Date: 2025-03-19
+-- Purpose: Let owners override the default Cache-Control sent for their site's files
+
+-- JSON object of Cache-Control values by file class, e.g.
+-- {"html": "no-cache", "assets": "public, max-age=600", "media": "public, max-age=604800"}
+-- Missing classes (or NULL) use the defaults in http-cache.js
+ALTER TABLE sites ADD COLUMN cache_control TEXT NULL;
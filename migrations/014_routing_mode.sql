@@ -0,0 +1,7 @@
+-- Migration: Site routing mode
+-- Date: 2025-03-20
+-- Purpose: Let single-page apps serve index.html for client-side routes
+
+-- 'static': unknown paths are 404 (the site's own 404.html when it has one)
+-- 'spa': unknown page paths are served the site's index.html
+ALTER TABLE sites ADD COLUMN routing_mode TEXT DEFAULT 'static';
@@ -0,0 +1,6 @@
+-- Migration: Redirect and header rules
+-- Date: 2025-03-21
+-- Purpose: Keep the rules compiled from a deployment's _redirects and _headers files
+
+-- JSON { redirects, headers } (see site-rules.js); NULL when the deployment has neither file
+ALTER TABLE deployments ADD COLUMN site_rules TEXT NULL;
@@ -0,0 +1,8 @@
+-- Migration: Clean URLs and trailing slashes
+-- Date: 2025-03-22
+-- Purpose: Let sites serve pages without .html and choose a trailing-slash policy
+
+-- 1: /about serves about.html and /about.html redirects to /about
+ALTER TABLE sites ADD COLUMN clean_urls INTEGER DEFAULT 0;
+-- 'auto': directories get a trailing slash; 'always' / 'never': every page URL does / does not
+ALTER TABLE sites ADD COLUMN trailing_slash TEXT DEFAULT 'auto';
@@ -0,0 +1,211 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { minify: minifyHtml } = require('html-minifier-terser');
+const { minify: minifyJs } = require('terser');
+const CleanCSS = require('clean-css');
+
+/**
+ * Deploy-time asset optimization for Tinny
+ *
+ * Optional per-site build step (sites.optimize_assets) run on extracted
+ * archives before they are published:
+ * - minifies HTML, CSS and JS
+ * - strips EXIF/XMP metadata (APP1 segments) from JPEGs; note this also drops
+ *   the EXIF orientation flag
+ * - writes precompressed .gz and .br siblings for text assets (not HTML, which
+ *   gets its analytics script at serve time and is compressed then)
+ *
+ * A file is only replaced when the optimized version is smaller. Any failure
+ * keeps the original file and is listed in the report; it never fails the deploy.
+ */
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+// Text assets served compressed (see compression.js)
+const COMPRESSIBLE_EXTENSIONS = ['.html', '.htm', '.css', '.js', '.json', '.svg', '.txt', '.md'];
+// HTML is never sent as stored, so .gz/.br siblings would go unused
+const UNCOMPRESSED_SIBLING_EXTENSIONS = ['.html', '.htm'];
+// Smaller files are not worth a precompressed copy
+const MIN_COMPRESS_BYTES = 1024;
+
+const HTML_MINIFY_OPTIONS = {
+  collapseWhitespace: true,
+  conservativeCollapse: true,
+  removeComments: true,
+  minifyCSS: true,
+  minifyJS: true
+};
+
+const cleanCss = new CleanCSS({ level: 1 });
+
+class AssetOptimizer {
+  /**
+   * Minify or strip a file's content by extension
+   * @returns {Promise<Buffer|null>} - Optimized content, or null if the type is not optimized
+   */
+  async transform(content, ext) {
+    if (ext === '.html' || ext === '.htm') {
+      return Buffer.from(await minifyHtml(content.toString('utf8'), HTML_MINIFY_OPTIONS));
+    }
+    if (ext === '.css') {
+      const output = cleanCss.minify(content.toString('utf8'));
+      if (output.errors.length > 0) {
+        throw new Error(output.errors[0]);
+      }
+      return Buffer.from(output.styles);
+    }
+    if (ext === '.js') {
+      const output = await minifyJs(content.toString('utf8'));
+      return Buffer.from(output.code);
+    }
+    if (ext === '.jpg' || ext === '.jpeg') {
+      return this.stripJpegMetadata(content);
+    }
+    return null;
+  }
+
+  /**
+   * Remove APP1 (EXIF and XMP) segments from a JPEG
+   * Segments are walked up to the start of scan; the image data is kept as-is.
+   */
+  stripJpegMetadata(buffer) {
+    if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) {
+      throw new Error('Not a JPEG file');
+    }
+
+    const parts = [buffer.subarray(0, 2)];
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length) {
+      if (buffer[offset] !== 0xFF) {
+        throw new Error('Invalid JPEG segment');
+      }
+
+      const marker = buffer[offset + 1];
+      // Fill byte before a marker
+      if (marker === 0xFF) {
+        offset++;
+        continue;
+      }
+      // Start of scan: everything after is image data
+      if (marker === 0xDA) {
+        break;
+      }
+
+      const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+      if (end > buffer.length) {
+        throw new Error('Truncated JPEG segment');
+      }
+      if (marker !== 0xE1) {
+        parts.push(buffer.subarray(offset, end));
+      }
+      offset = end;
+    }
+
+    parts.push(buffer.subarray(offset));
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Write .gz and .br siblings when they are smaller than the file
+   * @returns {Promise<number>} - Bytes written across the siblings (0 if none)
+   */
+  async writeCompressed(filePath, content) {
+    const variants = [
+      ['.gz', await gzip(content, { level: zlib.constants.Z_BEST_COMPRESSION })],
+      ['.br', await brotliCompress(content, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+        }
+      })]
+    ];
+
+    let written = 0;
+    for (const [suffix, compressed] of variants) {
+      if (compressed.length < content.length) {
+        await fs.writeFile(filePath + suffix, compressed);
+        written += compressed.length;
+      }
+    }
+    return written;
+  }
+
+  /**
+   * Optimize files in place
+   * @param {string} dir - Directory holding the files (a deployment staging directory)
+   * @param {string[]} files - File paths relative to dir
+   * @param {Function} [onProgress] - Called with (optimizedCount, totalCount)
+   * @returns {Promise<Object>} - { before, after, savedBytes, minifiedFiles, strippedImages,
+   *   compressedFiles, compressedBytes, failures }; after counts the optimized files
+   *   and compressedBytes their .gz/.br siblings
+   */
+  async optimizeDirectory(dir, files, onProgress = () => {}) {
+    const report = {
+      before: 0,
+      after: 0,
+      savedBytes: 0,
+      minifiedFiles: 0,
+      strippedImages: 0,
+      compressedFiles: 0,
+      compressedBytes: 0,
+      failures: []
+    };
+
+    for (const [index, fileName] of files.entries()) {
+      const filePath = path.join(dir, fileName);
+      const ext = path.extname(fileName).toLowerCase();
+      let content = await fs.readFile(filePath);
+      report.before += content.length;
+
+      try {
+        const optimized = await this.transform(content, ext);
+        if (optimized && optimized.length < content.length) {
+          await fs.writeFile(filePath, optimized);
+          content = optimized;
+          if (ext === '.jpg' || ext === '.jpeg') {
+            report.strippedImages++;
+          } else {
+            report.minifiedFiles++;
+          }
+        }
+      } catch (error) {
+        report.failures.push({ file: fileName, error: error.message });
+      }
+
+      report.after += content.length;
+
+      if (COMPRESSIBLE_EXTENSIONS.includes(ext) && !UNCOMPRESSED_SIBLING_EXTENSIONS.includes(ext) &&
+        content.length >= MIN_COMPRESS_BYTES) {
+        try {
+          const written = await this.writeCompressed(filePath, content);
+          if (written > 0) {
+            report.compressedFiles++;
+            report.compressedBytes += written;
+          }
+        } catch (error) {
+          report.failures.push({ file: fileName, error: `Compression failed: ${error.message}` });
+        }
+      }
+
+      onProgress(index + 1, files.length);
+    }
+
+    report.savedBytes = report.before - report.after;
+    console.log(`Optimized ${files.length} files: ${report.before} -> ${report.after} bytes, ${report.compressedFiles} precompressed (${report.compressedBytes} bytes), ${report.failures.length} failure(s)`);
+    return report;
+  }
+}
+
+// Export singleton instance
+const assetOptimizer = new AssetOptimizer();
+
+module.exports = {
+  assetOptimizer,
+  AssetOptimizer,
+  COMPRESSIBLE_EXTENSIONS,
+  MIN_COMPRESS_BYTES
+};
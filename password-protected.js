@@ -388,7 +388,8 @@ function passwordVerificationHandler(db) {
 function passwordProtectionMiddleware(db) {
   return async (req, res, next) => {
     try {
-      const subdomain = req.hostname.split('.')[0];
+      // Prefer the subdomain resolved by subdomainMiddleware (handles preview hosts)
+      const subdomain = req.subdomain || req.hostname.split('.')[0];
       
       // Skip protection for main domain
       if (subdomain === req.hostname) {
@@ -398,8 +399,8 @@ function passwordProtectionMiddleware(db) {
       // Get site info
       const site = db.prepare('SELECT * FROM sites WHERE subdomain = ?').get(subdomain);
       
-      if (!site) {
-        return next(); // Let subdomain handler deal with 404
+      if (!site || (site.status !== 'active' && !req.previewId)) {
+        return next(); // Let subdomain handler deal with 404 / expired page
       }
       
       // Check if password protection is enabled
@@ -0,0 +1,121 @@
+const { getDB } = require('./db');
+
+/**
+ * Site scheduler module for Tinny
+ *
+ * Flips sites.status on schedule:
+ * - Disabled sites whose publish_at has passed go live (publish_at is cleared)
+ * - Active sites whose expires_at has passed are disabled and show the expired page
+ *
+ * Times are stored as SQLite UTC datetimes ('YYYY-MM-DD HH:MM:SS').
+ */
+
+// How often the scheduler checks for due sites
+const SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS) || 60;
+
+/**
+ * Convert a date value (ISO string, Date or timestamp) to SQLite UTC datetime format
+ * @param {string|number|Date|null} value - Date to convert; empty values clear the schedule
+ * @returns {string|null} - 'YYYY-MM-DD HH:MM:SS' or null
+ */
+function toSqlDatetime(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Work out the status a site should have right now given its schedule
+ * @param {string|null} publishAt - SQLite UTC datetime
+ * @param {string|null} expiresAt - SQLite UTC datetime
+ * @returns {string} - 'active' or 'disabled'
+ */
+function getScheduledStatus(publishAt, expiresAt) {
+  const now = toSqlDatetime(new Date());
+
+  if (publishAt && publishAt > now) {
+    return 'disabled';
+  }
+  if (expiresAt && expiresAt <= now) {
+    return 'disabled';
+  }
+  return 'active';
+}
+
+class SiteScheduler {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Start checking schedules in the background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.runOnce();
+    this.timer = setInterval(() => this.runOnce(), SCHEDULER_INTERVAL_SECONDS * 1000);
+    this.timer.unref();
+    console.log(`Site scheduler started (every ${SCHEDULER_INTERVAL_SECONDS}s)`);
+  }
+
+  /**
+   * Stop the background scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Publish and expire every site that is due
+   * @returns {{published: number, expired: number}}
+   */
+  runOnce() {
+    try {
+      const db = getDB();
+
+      const published = db.run(
+        `UPDATE sites SET status = 'active', publish_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE status = 'disabled' AND publish_at IS NOT NULL AND publish_at <= datetime('now')
+           AND (expires_at IS NULL OR expires_at > datetime('now'))`
+      ).changes;
+
+      const expired = db.run(
+        `UPDATE sites SET status = 'disabled', updated_at = CURRENT_TIMESTAMP
+         WHERE status = 'active' AND expires_at IS NOT NULL AND expires_at <= datetime('now')`
+      ).changes;
+
+      if (published > 0 || expired > 0) {
+        console.log(`Site scheduler: ${published} site(s) published, ${expired} site(s) expired`);
+      }
+
+      return { published, expired };
+    } catch (error) {
+      console.error('Site scheduler error:', error);
+      return { published: 0, expired: 0 };
+    }
+  }
+}
+
+// Export singleton instance
+const siteScheduler = new SiteScheduler();
+
+module.exports = {
+  siteScheduler,
+  SiteScheduler,
+  toSqlDatetime,
+  getScheduledStatus,
+  SCHEDULER_INTERVAL_SECONDS
+};
@@ -13,6 +13,8 @@ const dashboardRouter = require('./dashboard');
 const apiRouter = require('./api');
 const { subdomainMiddleware, createSubdomainRouter } = require('./subdomain');
 const { passwordVerificationHandler } = require('./password-protected');
+const { siteScheduler } = require('./scheduler');
+const { createGitRouter } = require('./git-deploy');
 
 /**
  * Tinny Server - Main Entry Point
@@ -156,6 +158,15 @@ app.use(subdomainMiddleware);
 // API routes
 app.use('/api', apiRouter);
 
+// Git smart-HTTP deploys (main domain only; sites may have their own /git paths)
+const gitRouterInstance = createGitRouter();
+app.use('/git', (req, res, next) => {
+  if (req.subdomain) {
+    return next();
+  }
+  return gitRouterInstance(req, res, next);
+});
+
 // Create subdomain router instance with password protection
 const subdomainRouterInstance = createSubdomainRouter();
 
@@ -325,8 +336,19 @@ Routes available:
   GET  /api/sites                  - List user sites
   GET  /api/sites/:id/files        - List site files (Task 3)
   PUT  /api/sites/:id/files/:file  - Update file content (Task 3)
+  PUT  /api/sites/:id/content      - Redeploy site content
+  GET  /api/sites/:id/deployments  - Deployment history
+  GET  /api/sites/:id/usage        - Logical/physical storage usage
+  POST /api/sites/:id/deployments/:deploymentId/rollback - Roll back
+  POST /api/sites/:id/previews     - Upload a preview deployment
+  POST /api/sites/:id/deployments/:deploymentId/promote  - Promote preview
   DELETE /api/sites/:id            - Delete site (Task 3)
   PUT  /api/sites/:id/password     - Set site password (Task 3)
+  PUT  /api/sites/:id/settings     - Update schedule and git branch
+  GET  /api/tokens                 - List deploy tokens
+  POST /api/tokens                 - Create a deploy token
+  DELETE /api/tokens/:id           - Revoke a deploy token
+  *    /git/<subdomain>.git        - Git smart-HTTP (push to deploy)
   
   GET  /health              - Health check
   GET  *.lvh.me             - Serve user sites with password protection
@@ -337,4 +359,7 @@ Task 3 Features Active:
   ✅ Site management (edit, delete)
   ✅ Enhanced dashboard with action buttons
   `);
+
+  // Publish and expire scheduled sites
+  siteScheduler.start();
 });
\ No newline at end of file
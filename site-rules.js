@@ -0,0 +1,501 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Redirect and header rules for Tinny
+ *
+ * Sites moved from Netlify or Cloudflare Pages can keep the rule files at the
+ * top of their upload:
+ *
+ * _redirects - one rule per line: `from to [status][!]`
+ *   /old-page       /new-page
+ *   /blog/:year/*   /posts/:year/:splat  302
+ *   /app/*          /app/index.html      200
+ *   - status 301 (default), 302, 303, 307 or 308 redirects; 200 serves the
+ *     target in place of the path (rewrite); 404 serves it with a 404 status
+ *   - :name matches one path segment, * matches the rest of the path (:splat)
+ *     (at most one of them per segment)
+ *   - like Netlify, a rule is skipped when a file exists at the path, unless
+ *     its status ends with ! (forced)
+ *
+ * _headers - a path line followed by indented `Name: value` lines
+ *   /*
+ *     X-Frame-Options: DENY
+ *   /assets/*
+ *     Cache-Control: public, max-age=31536000, immutable
+ *   - values from every matching rule are combined; `! Name` removes a header
+ *     set by an earlier rule
+ *
+ * Files are parsed and validated at deploy time. Rules are stored with the
+ * deployment (deployments.site_rules); lines with errors are left out and
+ * listed in the deploy's rule report. Neither file is served to visitors.
+ */
+
+const SITE_RULE_FILES = ['_redirects', '_headers'];
+
+const MAX_RULE_FILE_BYTES = 256 * 1024;
+const MAX_REDIRECT_RULES = 2000;
+const MAX_HEADER_RULES = 100;
+// Maximum errors kept in a rule report
+const MAX_RULE_ERRORS = 100;
+// Deployments whose compiled rules are kept in memory
+const RULE_CACHE_SIZE = 500;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const REWRITE_STATUSES = [200, 404];
+
+const PLACEHOLDER_PATTERN = /:([A-Za-z_][A-Za-z0-9_]*)/g;
+const WILDCARD_PATTERN = /:[A-Za-z_][A-Za-z0-9_]*|\*/g;
+const HEADER_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+// Header values are Latin-1 without control characters (tab is allowed); Node
+// refuses to send anything else
+const HEADER_VALUE_PATTERN = /^[\t\x20-\x7E\x80-\xFF]*$/;
+const EXTERNAL_URL_PATTERN = /^https?:\/\/[^/\s]+/i;
+
+// Set by Tinny from the file being served, or by the HTTP layer itself
+const PROTECTED_HEADERS = [
+  'connection', 'content-encoding', 'content-length', 'content-range', 'content-type', 'date',
+  'etag', 'keep-alive', 'last-modified', 'location', 'set-cookie', 'trailer', 'transfer-encoding',
+  'upgrade', 'vary', 'x-content-type-options'
+];
+
+/**
+ * Collects rule file errors across both files
+ */
+class RuleErrors {
+  constructor() {
+    this.total = 0;
+    this.errors = [];
+  }
+
+  add(file, line, message) {
+    this.total++;
+    if (this.errors.length < MAX_RULE_ERRORS) {
+      this.errors.push({ file, line, message });
+    }
+  }
+}
+
+/**
+ * Escape text for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the matcher for a rule path
+ * `:name` matches one segment and `*` the rest of the path; a trailing `/*`
+ * also matches the path without it (/news/* matches /news). Paths match with
+ * or without a trailing slash and regardless of letter case.
+ * @returns {Object} - { pattern, names } or { error }
+ */
+function compilePath(rulePath) {
+  if (!rulePath.startsWith('/')) {
+    return { error: `Path must start with /: ${rulePath}` };
+  }
+  if ((rulePath.match(/\*/g) || []).length > 1) {
+    return { error: `Only one * is allowed in a path: ${rulePath}` };
+  }
+  // Adjacent wildcards (/:a:b:c) make the regex backtrack exponentially on
+  // every request; a / between them keeps each one to its own segment
+  if (rulePath.split('/').some(segment => (segment.match(WILDCARD_PATTERN) || []).length > 1)) {
+    return { error: `Only one placeholder or * is allowed per path segment: ${rulePath}` };
+  }
+
+  const names = [];
+  let pattern = '';
+  let rest = rulePath;
+
+  const trailingSplat = rest.endsWith('/*');
+  if (trailingSplat) {
+    rest = rest.slice(0, -2);
+  }
+
+  for (const part of rest.split(/(:[A-Za-z_][A-Za-z0-9_]*|\*)/)) {
+    if (part === '*') {
+      names.push('splat');
+      pattern += '(.*)';
+    } else if (part.startsWith(':')) {
+      const name = part.slice(1);
+      if (names.includes(name)) {
+        return { error: `Placeholder :${name} is used twice in ${rulePath}` };
+      }
+      names.push(name);
+      pattern += '([^/]+)';
+    } else {
+      pattern += escapeRegExp(part);
+    }
+  }
+
+  if (trailingSplat) {
+    names.push('splat');
+    pattern += '(?:/(.*))?';
+  } else if (!rulePath.endsWith('*')) {
+    pattern = pattern.replace(/\/$/, '') + '/?';
+  }
+
+  return { pattern: `^${pattern}$`, names };
+}
+
+/**
+ * Percent-encode a captured path value, keeping its slashes
+ */
+function encodePathValue(value) {
+  return value.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Values captured by a compiled path, or null if it does not match
+ */
+function matchPath(rule, pathname) {
+  const match = rule.regexp.exec(pathname);
+  if (!match) {
+    return null;
+  }
+
+  const params = {};
+  rule.names.forEach((name, index) => {
+    params[name] = match[index + 1] || '';
+  });
+  return params;
+}
+
+class SiteRules {
+  constructor() {
+    // Compiled rules by deployment ID; insertion order doubles as LRU order
+    this.cache = new Map();
+  }
+
+  /**
+   * Parse and validate a site's rule files
+   * @param {string} dir - Directory holding the site's files
+   * @param {string[]} files - File paths relative to dir (forward slashes)
+   * @returns {Promise<Object>} - { rules, report }: rules is stored with the
+   *   deployment (null when the site has neither file); report is
+   *   { redirects, headers, total, errors } for the deploy response
+   */
+  async compileSite(dir, files) {
+    const errors = new RuleErrors();
+    const rules = { redirects: [], headers: [] };
+    const present = SITE_RULE_FILES.filter(file => files.includes(file));
+
+    for (const file of present) {
+      const filePath = path.join(dir, file);
+      const { size } = await fs.stat(filePath);
+      if (size > MAX_RULE_FILE_BYTES) {
+        errors.add(file, 0, `${file} is larger than ${MAX_RULE_FILE_BYTES / 1024} KB and was ignored`);
+        continue;
+      }
+
+      const lines = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '').split(/\r?\n/);
+      if (file === '_redirects') {
+        rules.redirects = this.parseRedirects(lines, errors);
+      } else {
+        rules.headers = this.parseHeaders(lines, errors);
+      }
+    }
+
+    const report = {
+      redirects: rules.redirects.length,
+      headers: rules.headers.length,
+      total: errors.total,
+      errors: errors.errors
+    };
+    if (present.length > 0) {
+      console.log(`Site rules: ${report.redirects} redirect(s), ${report.headers} header rule(s), ${report.total} error(s)`);
+    }
+    return { rules: present.length > 0 ? rules : null, report };
+  }
+
+  /**
+   * Parse _redirects lines
+   * @param {string[]} lines - File content split into lines
+   * @param {RuleErrors} errors - Collects invalid lines
+   * @returns {Object[]} - { from, pattern, names, to, status, force, line }
+   */
+  parseRedirects(lines, errors) {
+    const rules = [];
+
+    lines.forEach((text, index) => {
+      const line = index + 1;
+      const tokens = text.trim().split(/\s+/);
+      if (!tokens[0] || tokens[0].startsWith('#')) {
+        return;
+      }
+
+      if (tokens.length < 2) {
+        errors.add('_redirects', line, 'Expected a source path and a destination');
+        return;
+      }
+      if (tokens[1].includes('=')) {
+        errors.add('_redirects', line, `Query parameter matching is not supported: ${tokens[1]}`);
+        return;
+      }
+
+      const [from, to, statusToken, ...extra] = tokens;
+      if (extra.length > 0) {
+        errors.add('_redirects', line, `Conditions are not supported: ${extra.join(' ')}`);
+        return;
+      }
+
+      let status = 301;
+      let force = false;
+      if (statusToken) {
+        const statusMatch = statusToken.match(/^(\d{3})(!?)$/);
+        status = statusMatch ? parseInt(statusMatch[1]) : NaN;
+        force = Boolean(statusMatch && statusMatch[2]);
+        if (!REDIRECT_STATUSES.includes(status) && !REWRITE_STATUSES.includes(status)) {
+          errors.add('_redirects', line, `Unsupported status ${statusToken}: use ${[...REDIRECT_STATUSES, ...REWRITE_STATUSES].join(', ')}`);
+          return;
+        }
+      }
+
+      const compiled = compilePath(from);
+      if (compiled.error) {
+        errors.add('_redirects', line, compiled.error);
+        return;
+      }
+
+      const external = EXTERNAL_URL_PATTERN.test(to);
+      if (!to.startsWith('/') && !external) {
+        errors.add('_redirects', line, `Destination must be a path starting with / or an http(s) URL: ${to}`);
+        return;
+      }
+      if (external && REWRITE_STATUSES.includes(status)) {
+        errors.add('_redirects', line, `Rewrites (status ${status}) can only point to files of this site: ${to}`);
+        return;
+      }
+
+      const unknown = [...to.replace(EXTERNAL_URL_PATTERN, '').matchAll(PLACEHOLDER_PATTERN)]
+        .map(match => match[1])
+        .filter(name => !compiled.names.includes(name));
+      if (unknown.length > 0) {
+        errors.add('_redirects', line, `Destination uses :${unknown[0]}, which the source path does not define`);
+        return;
+      }
+
+      if (rules.length >= MAX_REDIRECT_RULES) {
+        errors.add('_redirects', line, `Only the first ${MAX_REDIRECT_RULES} redirect rules are used`);
+        return;
+      }
+      rules.push({ from, pattern: compiled.pattern, names: compiled.names, to, status, force, line });
+    });
+
+    return rules;
+  }
+
+  /**
+   * Parse _headers lines
+   * @param {string[]} lines - File content split into lines
+   * @param {RuleErrors} errors - Collects invalid lines
+   * @returns {Object[]} - { path, pattern, names, set: [[name, value]], remove: [name], line }
+   */
+  parseHeaders(lines, errors) {
+    const rules = [];
+    let current = null;
+
+    // Close the current rule; rules with an invalid path were reported when they started
+    const finish = () => {
+      if (!current || current.skip) {
+        current = null;
+        return;
+      }
+      if (current.set.length === 0 && current.remove.length === 0) {
+        errors.add('_headers', current.line, `No headers listed for ${current.path}`);
+      } else if (rules.length >= MAX_HEADER_RULES) {
+        errors.add('_headers', current.line, `Only the first ${MAX_HEADER_RULES} header rules are used`);
+      } else {
+        rules.push(current);
+      }
+      current = null;
+    };
+
+    lines.forEach((text, index) => {
+      const line = index + 1;
+      const trimmed = text.trim();
+      if (!trimmed || trimmed.startsWith('#')) {
+        return;
+      }
+
+      // Unindented lines start a rule
+      if (!/^\s/.test(text)) {
+        finish();
+        if (EXTERNAL_URL_PATTERN.test(trimmed)) {
+          errors.add('_headers', line, `Rules for other hosts are not supported: ${trimmed}`);
+          current = { skip: true };
+          return;
+        }
+        const compiled = compilePath(trimmed);
+        if (compiled.error) {
+          errors.add('_headers', line, compiled.error);
+          current = { skip: true };
+          return;
+        }
+        current = { path: trimmed, pattern: compiled.pattern, names: compiled.names, set: [], remove: [], line };
+        return;
+      }
+
+      if (!current) {
+        errors.add('_headers', line, 'Header listed before any path');
+        return;
+      }
+      if (current.skip) {
+        return;
+      }
+
+      if (trimmed.startsWith('!')) {
+        const name = trimmed.slice(1).trim();
+        if (!HEADER_NAME_PATTERN.test(name)) {
+          errors.add('_headers', line, `Invalid header name: ${name}`);
+          return;
+        }
+        current.remove.push(name);
+        return;
+      }
+
+      const separator = trimmed.indexOf(':');
+      const name = separator > 0 ? trimmed.slice(0, separator).trim() : '';
+      const value = trimmed.slice(separator + 1).trim();
+      if (!name || !HEADER_NAME_PATTERN.test(name)) {
+        errors.add('_headers', line, `Expected "Name: value", got: ${trimmed}`);
+      } else if (PROTECTED_HEADERS.includes(name.toLowerCase())) {
+        errors.add('_headers', line, `${name} cannot be set in _headers`);
+      } else if (!value) {
+        errors.add('_headers', line, `Missing value for ${name}`);
+      } else if (!HEADER_VALUE_PATTERN.test(value)) {
+        errors.add('_headers', line, `Invalid value for ${name}: only printable Latin-1 characters are allowed`);
+      } else {
+        current.set.push([name, value]);
+      }
+    });
+
+    finish();
+    return rules;
+  }
+
+  /**
+   * Compiled rules of a deployment
+   * @param {string} deploymentId - Deployment the rules belong to (its rules never change)
+   * @param {string|null} value - deployments.site_rules (JSON)
+   * @returns {Object|null} - { redirects, headers } with RegExps, or null if the site has no rules
+   */
+  load(deploymentId, value) {
+    if (!value) {
+      return null;
+    }
+
+    const cached = this.cache.get(deploymentId);
+    if (cached) {
+      this.cache.delete(deploymentId);
+      this.cache.set(deploymentId, cached);
+      return cached;
+    }
+
+    let stored;
+    try {
+      stored = JSON.parse(value);
+    } catch (error) {
+      console.warn(`Ignoring unreadable site rules of deployment ${deploymentId}`);
+      return null;
+    }
+
+    const rules = this.prepare(stored);
+    this.cache.set(deploymentId, rules);
+    if (this.cache.size > RULE_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return rules;
+  }
+
+  /**
+   * Build the matchers of compiled rules
+   * @param {Object} stored - Rules from compileSite()
+   * @returns {Object} - { redirects, headers } with RegExps, for findRedirect() and getHeaders()
+   */
+  prepare(stored) {
+    const withRegExp = rule => ({ ...rule, regexp: new RegExp(rule.pattern, 'i') });
+    return {
+      redirects: (stored.redirects || []).map(withRegExp),
+      headers: (stored.headers || []).map(withRegExp)
+    };
+  }
+
+  /**
+   * First redirect rule matching a path
+   * @param {Object|null} rules - From load() or prepare()
+   * @param {string} pathname - Decoded request path
+   * @returns {Object|null} - { status, force, target, line } with placeholders filled in
+   */
+  findRedirect(rules, pathname) {
+    if (!rules) {
+      return null;
+    }
+
+    for (const rule of rules.redirects) {
+      const params = matchPath(rule, pathname);
+      if (params) {
+        // Values come from the request path: encoded, so they cannot add a
+        // query string or escape into another host
+        let target = rule.to.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+          Object.hasOwn(params, name) ? encodePathValue(params[name]) : placeholder
+        );
+        // A path target starting with // (or /\) would read as another host
+        if (!EXTERNAL_URL_PATTERN.test(target)) {
+          target = target.replace(/^[/\\]+/, '/');
+        }
+        return { status: rule.status, force: rule.force, target, line: rule.line };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Custom headers for a path, combined from every matching rule
+   * @param {Object|null} rules - From load() or prepare()
+   * @param {string} pathname - Decoded request path
+   * @returns {Object} - { headers: { Name: value }, cacheControl } (cacheControl is null when not set)
+   */
+  getHeaders(rules, pathname) {
+    const combined = new Map();
+
+    for (const rule of rules ? rules.headers : []) {
+      if (!matchPath(rule, pathname)) {
+        continue;
+      }
+      for (const name of rule.remove) {
+        combined.delete(name.toLowerCase());
+      }
+      for (const [name, value] of rule.set) {
+        const key = name.toLowerCase();
+        const existing = combined.get(key);
+        combined.set(key, existing ? [existing[0], `${existing[1]}, ${value}`] : [name, value]);
+      }
+    }
+
+    const cacheControl = combined.get('cache-control');
+    combined.delete('cache-control');
+    return {
+      headers: Object.fromEntries(combined.values()),
+      cacheControl: cacheControl ? cacheControl[1] : null
+    };
+  }
+
+  /**
+   * Whether a path inside a site is one of the rule files (never served)
+   */
+  isRuleFile(filePath) {
+    return SITE_RULE_FILES.includes(path.posix.basename(filePath));
+  }
+}
+
+// Export singleton instance
+const siteRules = new SiteRules();
+
+module.exports = {
+  siteRules,
+  SiteRules,
+  SITE_RULE_FILES,
+  MAX_REDIRECT_RULES,
+  MAX_HEADER_RULES
+};
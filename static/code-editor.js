@@ -454,9 +454,14 @@ class CodeEditor {
       
       const result = await response.json();
       
+      // The site's sanitization profile may have removed content; show what was stored
+      if (result.sanitized) {
+        this.editor.setValue(result.content);
+      }
+      
       this.isDirty = false;
       this.updateFileInfo();
-      this.setStatus('File saved successfully', 'success');
+      this.setStatus(result.sanitized ? 'File saved (disallowed content was removed)' : 'File saved successfully', 'success');
       
       // Update last saved time
       document.getElementById('last-saved').textContent = `Saved ${new Date().toLocaleTimeString()}`;
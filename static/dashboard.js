@@ -5,15 +5,80 @@
  * No inline JavaScript - all interactions handled here
  */
 
+// File extensions accepted by each upload option in the upload/update modals
+const UPLOAD_OPTION_ACCEPT = {
+  html: '.html,.htm',
+  zip: '.zip,.tar,.gz,.tgz',
+  document: '.pdf,.png,.jpg,.jpeg,.gif,.webp,.svg,.md,.markdown',
+  folder: ''
+};
+
+// Messages shown when a file does not match the selected upload option
+const UPLOAD_OPTION_ERRORS = {
+  html: 'Please select an HTML file.',
+  zip: 'Please select a ZIP or tar.gz file.',
+  document: 'Please select a PDF, image or Markdown file.',
+  folder: 'Please select a folder containing an index.html file.'
+};
+
+// Total size of a folder upload (the server's default archive size limit)
+const MAX_FOLDER_UPLOAD_BYTES = 200 * 1000 * 1000;
+
+// Failed upload chunks are retried this many times before giving up
+const CHUNK_RETRY_LIMIT = 3;
+
+// Stages shown in the upload modal, with the progress bar range each one covers
+const UPLOAD_STAGES = [
+  { stage: 'uploading', label: 'Upload', from: 0, to: 50 },
+  { stage: 'extracting', label: 'Extract', from: 50, to: 75 },
+  { stage: 'sanitizing', label: 'Sanitize', from: 75, to: 85 },
+  { stage: 'optimizing', label: 'Optimize', from: 85, to: 94 },
+  { stage: 'publishing', label: 'Publish', from: 94, to: 98 }
+];
+
+// HTML sanitization profiles offered at upload and in site settings
+const SANITIZE_PROFILE_OPTIONS = [
+  { value: 'strict', label: 'Strict', description: 'Removes scripts, inline styles and event handlers' },
+  { value: 'standard', label: 'Standard', description: 'Keeps inline styles, media and data attributes; removes scripts' },
+  { value: 'trusted', label: 'Trusted', description: 'No sanitization (requires administrator approval)' }
+];
+
+// How a site answers paths with no file, offered in site settings
+const ROUTING_MODE_OPTIONS = [
+  { value: 'static', label: 'Static site', description: 'Unknown paths get a 404 (your 404.html if the site has one)' },
+  { value: 'spa', label: 'Single-page app', description: 'Unknown page paths get index.html so client-side routing (React, Vue...) works' }
+];
+
+// Trailing-slash policies for page URLs, offered in site settings
+const TRAILING_SLASH_OPTIONS = [
+  { value: 'auto', label: 'Folders only', description: '/docs redirects to /docs/ so relative links inside the folder work' },
+  { value: 'always', label: 'Always', description: 'Every page URL ends with / (/about/)' },
+  { value: 'never', label: 'Never', description: 'No page URL ends with / (/about, /docs)' }
+];
+
+// File classes with their own Cache-Control in site settings (placeholders are the server defaults)
+const CACHE_CONTROL_OPTIONS = [
+  { cacheClass: 'html', label: 'HTML pages', placeholder: 'no-cache' },
+  { cacheClass: 'assets', label: 'CSS, JS and other files', placeholder: 'public, max-age=300' },
+  { cacheClass: 'media', label: 'Images, fonts, audio and video', placeholder: 'public, max-age=86400' }
+];
+
 class TinnyDashboard {
   constructor() {
     this.modal = null;
+    this.account = null;
     this.currentStep = 'idle';
     this.uploadType = 'html';
     this.selectedFile = null;
+    // Folder upload selection: { name, size, files: [{ file, path }] }
+    this.selectedFolder = null;
     this.selectedSubdomain = '';
     this.enablePassword = false;
     this.password = '';
+    this.sanitizeProfile = 'strict';
+    this.optimizeAssets = false;
+    // Resumable upload session for the last file sent, reused by "Try Again"
+    this.pendingUpload = null;
     
     this.init();
   }
@@ -36,7 +101,38 @@ class TinnyDashboard {
    */
   async loadInitialData() {
     // Load sites on page load
-    await this.refreshSites();
+    await Promise.all([this.refreshSites(), this.loadAccount()]);
+  }
+
+  /**
+   * Load the current user's account (trusted HTML approval)
+   */
+  async loadAccount() {
+    try {
+      const response = await fetch('/api/account');
+      if (response.ok) {
+        this.account = await response.json();
+      }
+    } catch (error) {
+      console.error('Failed to load account:', error);
+    }
+  }
+
+  /**
+   * Radio options for choosing a sanitization profile
+   * Trusted is only selectable for users an administrator has approved.
+   */
+  renderSanitizeProfileOptions(name, selected) {
+    const trustedAllowed = !!(this.account && this.account.trustedHtml);
+    return SANITIZE_PROFILE_OPTIONS.map(option => {
+      const disabled = option.value === 'trusted' && !trustedAllowed;
+      return `
+                <label class="radio-label">
+                  <input type="radio" name="${name}" value="${option.value}" ${option.value === selected ? 'checked' : ''} ${disabled ? 'disabled' : ''}>
+                  <span class="radio-text">${option.label}</span>
+                  <small>${option.description}</small>
+                </label>`;
+    }).join('');
   }
 
   bindEvents() {
@@ -87,9 +183,12 @@ class TinnyDashboard {
     }
     this.currentStep = 'idle';
     this.selectedFile = null;
+    this.selectedFolder = null;
     this.selectedSubdomain = '';
     this.enablePassword = false;
     this.password = '';
+    this.sanitizeProfile = 'strict';
+    this.optimizeAssets = false;
   }
 
   createModal() {
@@ -114,19 +213,29 @@ class TinnyDashboard {
                 </label>
                 <label class="radio-label">
                   <input type="radio" name="uploadType" value="zip">
-                  <span class="radio-text">ZIP Archive</span>
+                  <span class="radio-text">Archive (ZIP or tar.gz)</span>
                   <small>Upload multiple files (must contain index.html)</small>
                 </label>
+                <label class="radio-label">
+                  <input type="radio" name="uploadType" value="document">
+                  <span class="radio-text">Document</span>
+                  <small>Share a PDF, image or Markdown file with a viewer page</small>
+                </label>
+                <label class="radio-label">
+                  <input type="radio" name="uploadType" value="folder">
+                  <span class="radio-text">Folder</span>
+                  <small>Upload a folder as-is, no need to zip it (must contain index.html)</small>
+                </label>
               </div>
             </div>
 
             <div class="form-group">
               <label for="file-input">Select File</label>
               <div class="file-input-container">
-                <input type="file" id="file-input" accept=".html,.htm,.zip">
+                <input type="file" id="file-input" accept=".html,.htm">
                 <div class="file-drop-zone" id="drop-zone">
                   <div class="file-drop-text">
-                    <strong>Choose a file</strong> or drag it here
+                    <strong>Choose a file</strong> or drag a file or folder here
                   </div>
                 </div>
               </div>
@@ -158,6 +267,20 @@ class TinnyDashboard {
                 </div>
               </div>
             </div>
+
+            <div class="form-group">
+              <label>HTML Sanitization</label>
+              <div class="radio-group">${this.renderSanitizeProfileOptions('sanitizeProfile', this.sanitizeProfile)}
+              </div>
+            </div>
+
+            <div class="form-group">
+              <label class="checkbox-label">
+                <input type="checkbox" id="optimize-assets">
+                <span class="checkbox-text">Optimize Assets</span>
+                <small>Minify HTML, CSS and JS, strip photo metadata and precompress text files (ZIP and tar.gz uploads)</small>
+              </label>
+            </div>
           </div>
 
           <div class="upload-step" id="step-uploading" style="display: none;">
@@ -167,6 +290,9 @@ class TinnyDashboard {
               <div class="progress-bar">
                 <div class="progress-fill" id="progress-fill"></div>
               </div>
+              <ol class="progress-stages" id="progress-stages">
+                ${UPLOAD_STAGES.map(({ stage, label }) => `<li data-stage="${stage}">${label}</li>`).join('')}
+              </ol>
             </div>
           </div>
 
@@ -218,16 +344,40 @@ class TinnyDashboard {
       radio.addEventListener('change', (e) => {
         this.uploadType = e.target.value;
         this.updateFileInput();
+        if (this.uploadType === 'folder' ? this.selectedFile : this.selectedFolder) {
+          this.handleFileSelect(null);
+        }
         this.validateForm();
       });
     });
 
+    // Sanitization profile radio buttons
+    this.modal.querySelectorAll('input[name="sanitizeProfile"]').forEach(radio => {
+      radio.addEventListener('change', (e) => {
+        this.sanitizeProfile = e.target.value;
+      });
+    });
+
+    // Asset optimization checkbox
+    const optimizeCheckbox = this.modal.querySelector('#optimize-assets');
+    if (optimizeCheckbox) {
+      optimizeCheckbox.addEventListener('change', (e) => {
+        this.optimizeAssets = e.target.checked;
+      });
+    }
+
     // File input
     const fileInput = this.modal.querySelector('#file-input');
     const dropZone = this.modal.querySelector('#drop-zone');
     
     if (fileInput) {
-      fileInput.addEventListener('change', (e) => this.handleFileSelect(e.target.files[0]));
+      fileInput.addEventListener('change', (e) => {
+        if (this.uploadType === 'folder') {
+          this.handleFolderSelect(Array.from(e.target.files, file => ({ file, path: file.webkitRelativePath || file.name })));
+        } else {
+          this.handleFileSelect(e.target.files[0]);
+        }
+      });
     }
 
     if (dropZone) {
@@ -241,13 +391,22 @@ class TinnyDashboard {
         dropZone.classList.remove('dragover');
       });
 
-      dropZone.addEventListener('drop', (e) => {
+      dropZone.addEventListener('drop', async (e) => {
         e.preventDefault();
         dropZone.classList.remove('dragover');
-        const file = e.dataTransfer.files[0];
-        if (file) {
-          this.handleFileSelect(file);
-          fileInput.files = e.dataTransfer.files;
+        const droppedFiles = e.dataTransfer.files;
+        const dropped = await this.collectDroppedFiles(e.dataTransfer);
+
+        // A dropped folder or several files switch to a folder upload
+        if (dropped.hasFolder || dropped.files.length > 1) {
+          this.selectUploadType('folder');
+          this.handleFolderSelect(dropped.files);
+        } else if (droppedFiles[0]) {
+          if (this.uploadType === 'folder') {
+            this.selectUploadType(this.guessUploadOption(droppedFiles[0].name));
+          }
+          this.handleFileSelect(droppedFiles[0]);
+          fileInput.files = droppedFiles;
         }
       });
 
@@ -339,15 +498,54 @@ class TinnyDashboard {
   updateFileInput() {
     const fileInput = this.modal.querySelector('#file-input');
     if (fileInput) {
-      if (this.uploadType === 'html') {
-        fileInput.accept = '.html,.htm';
-      } else {
-        fileInput.accept = '.zip';
-      }
+      this.configureFileInput(fileInput, this.uploadType);
+    }
+  }
+
+  /**
+   * Set the accepted types of a file input, and let it pick folders for the folder option
+   */
+  configureFileInput(fileInput, uploadOption) {
+    fileInput.accept = UPLOAD_OPTION_ACCEPT[uploadOption];
+    fileInput.webkitdirectory = uploadOption === 'folder';
+    fileInput.multiple = uploadOption === 'folder';
+    fileInput.value = '';
+  }
+
+  /**
+   * Check an upload type radio button (e.g. after a folder was dropped)
+   */
+  selectUploadType(uploadOption) {
+    const radio = this.modal.querySelector(`input[name="uploadType"][value="${uploadOption}"]`);
+    if (radio && !radio.checked) {
+      radio.checked = true;
+      this.uploadType = uploadOption;
+      this.updateFileInput();
+    }
+  }
+
+  /**
+   * Upload option that accepts a file name, defaulting to 'html'
+   */
+  guessUploadOption(fileName) {
+    return ['html', 'zip', 'document'].find(option => this.getUploadApiType(option, fileName)) || 'html';
+  }
+
+  handleFolderSelect(items) {
+    try {
+      this.selectedFolder = this.prepareFolderUpload(items);
+      this.selectedFile = null;
+      this.showFileInfo(this.selectedFolder);
+    } catch (error) {
+      this.selectedFolder = null;
+      this.hideFileInfo();
+      this.showError(error.message);
     }
+    this.validateForm();
   }
 
   handleFileSelect(file) {
+    this.selectedFolder = null;
     if (!file) {
       this.selectedFile = null;
       this.hideFileInfo();
@@ -356,18 +554,13 @@ class TinnyDashboard {
     }
 
     // Basic validation
-    const ext = file.name.split('.').pop().toLowerCase();
-    if (this.uploadType === 'html' && !['html', 'htm'].includes(ext)) {
-      this.showError('Please select an HTML file.');
-      return;
-    }
-    if (this.uploadType === 'zip' && ext !== 'zip') {
-      this.showError('Please select a ZIP file.');
+    if (!this.getUploadApiType(this.uploadType, file.name)) {
+      this.showError(UPLOAD_OPTION_ERRORS[this.uploadType]);
       return;
     }
 
     // Size validation
-    const maxSize = this.uploadType === 'html' ? 5 * 1024 * 1024 : 25 * 1024 * 1024; // 5MB for HTML, 25MB for ZIP
+    const maxSize = this.uploadType === 'html' ? 5 * 1024 * 1024 : 25 * 1024 * 1024; // 5MB for HTML, 25MB for archives/documents
     if (file.size > maxSize) {
       const maxMB = Math.round(maxSize / 1024 / 1024);
       this.showError(`File too large. Maximum size is ${maxMB}MB.`);
@@ -455,7 +648,7 @@ class TinnyDashboard {
   validateForm() {
     const deployBtn = this.modal.querySelector('#deploy-btn');
     if (deployBtn) {
-      let isValid = this.selectedFile && this.selectedSubdomain && this.selectedSubdomain.length > 0;
+      let isValid = (this.selectedFile || this.selectedFolder) && this.selectedSubdomain && this.selectedSubdomain.length > 0;
       
       // If password protection is enabled, password must be exactly 6 digits
       if (this.enablePassword) {
@@ -467,19 +660,25 @@ class TinnyDashboard {
   }
 
   async deploySite() {
-    if (!this.selectedFile || !this.selectedSubdomain) {
+    if ((!this.selectedFile && !this.selectedFolder) || !this.selectedSubdomain) {
       return;
     }
 
     try {
       this.showStep('uploading');
-      this.updateProgress('Validating...', 10);
+      this.updateProgress('Preparing upload...', 0);
+      this.setUploadStage('uploading');
+
+      const showUploadProgress = (received, total) => {
+        this.updateStageProgress('uploading', received / total, `Uploading... ${this.formatBytes(received)} of ${this.formatBytes(total)}`);
+      };
 
       // Create FormData
       const formData = new FormData();
-      formData.append('type', this.uploadType);
+      formData.append('type', this.selectedFolder ? 'folder' : this.getUploadApiType(this.uploadType, this.selectedFile.name));
       formData.append('subdomain', this.selectedSubdomain);
-      formData.append('file', this.selectedFile);
+      formData.append('sanitizeProfile', this.sanitizeProfile);
+      formData.append('optimizeAssets', this.optimizeAssets ? 'true' : 'false');
       
       // Add password protection if enabled
       if (this.enablePassword && this.password) {
@@ -487,27 +686,39 @@ class TinnyDashboard {
         formData.append('password', this.password);
       }
 
-      this.updateProgress('Uploading...', 30);
-
-      // Upload file
-      const response = await fetch('/api/upload', {
-        method: 'POST',
-        body: formData
-      });
-
-      this.updateProgress('Processing...', 70);
+      let response;
+      if (this.selectedFolder) {
+        // Folder files are sent in one request and queued once it completes
+        this.appendFolderFiles(formData, this.selectedFolder);
+        response = await this.sendForm('POST', '/api/upload', formData, showUploadProgress);
+      } else {
+        // Send the file in chunks (resumes a previous attempt for the same file)
+        formData.append('uploadId', await this.uploadInChunks(this.selectedFile, showUploadProgress));
+        this.updateStageProgress('uploading', 1, 'Starting deployment...');
+
+        // Queue the deployment; the session is used up either way
+        response = await fetch('/api/upload', {
+          method: 'POST',
+          body: formData
+        });
+        this.pendingUpload = null;
+      }
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Upload failed');
+        throw new Error(this.describeUploadError(data, 'Upload failed'));
       }
 
+      // Follow the background job until the site is published
+      const result = await this.watchJob(data.jobId, (job) => this.showJobProgress(job));
+
+      this.setUploadStage(null);
       this.updateProgress('Complete!', 100);
 
       // Show success
       setTimeout(() => {
-        this.showSuccess(data);
+        this.showSuccess(result);
       }, 500);
 
     } catch (error) {
@@ -517,6 +728,296 @@ class TinnyDashboard {
     }
   }
 
+  /**
+   * Send a file through a resumable upload session (POST/PUT /api/uploads)
+   * A retry for the same file resumes from the bytes the server already has.
+   * @param {File} file - File to upload
+   * @param {Function} onProgress - Called with (receivedBytes, totalBytes)
+   * @returns {Promise<string>} - Session ID to pass as uploadId when deploying
+   */
+  async uploadInChunks(file, onProgress) {
+    let session = null;
+
+    if (this.pendingUpload && this.pendingUpload.file === file) {
+      const response = await fetch(`/api/uploads/${this.pendingUpload.sessionId}`);
+      if (response.ok) {
+        session = await response.json();
+      }
+    }
+
+    if (!session) {
+      const response = await fetch('/api/uploads', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ fileName: file.name, size: file.size })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start upload');
+      }
+      session = data;
+      this.pendingUpload = { file, sessionId: session.sessionId };
+    }
+
+    let offset = session.received;
+    onProgress(offset, file.size);
+
+    while (offset < file.size) {
+      const chunk = file.slice(offset, offset + session.chunkSize);
+      offset = await this.sendChunk(session.sessionId, offset, chunk);
+      onProgress(offset, file.size);
+    }
+
+    return session.sessionId;
+  }
+
+  /**
+   * PUT one chunk, retrying network and server errors with a short backoff
+   * @returns {Promise<number>} - Bytes the server has received (where to continue)
+   */
+  async sendChunk(sessionId, offset, chunk) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await fetch(`/api/uploads/${sessionId}?offset=${offset}`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/octet-stream'
+          },
+          body: chunk
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+          return data.received;
+        }
+        // The server expects a different offset (e.g. a response was lost): continue from there
+        if (response.status === 409 && typeof data.received === 'number') {
+          return data.received;
+        }
+
+        const error = new Error(data.error || 'Upload failed');
+        error.retryable = response.status >= 500 || response.status === 429;
+        throw error;
+      } catch (error) {
+        // fetch() itself rejects with a TypeError on network failures
+        const retryable = error.retryable || error instanceof TypeError;
+        if (!retryable || attempt >= CHUNK_RETRY_LIMIT) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  /**
+   * Collect the files of a drop, walking dropped folders
+   * Entries must be read before the first await, while the drop event's data is available.
+   * @param {DataTransfer} dataTransfer - The drop event's data
+   * @returns {Promise<Object>} - { files: [{ file, path }], hasFolder }
+   */
+  async collectDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+      .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+
+    if (entries.length === 0) {
+      return { files: Array.from(dataTransfer.files, file => ({ file, path: file.name })), hasFolder: false };
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      await this.readDroppedEntry(entry, files);
+    }
+    return { files, hasFolder: entries.some(entry => entry.isDirectory) };
+  }
+
+  /**
+   * Add a dropped file, or every file below a dropped folder, to files
+   */
+  async readDroppedEntry(entry, files) {
+    // Paths are relative to the drop, like webkitRelativePath ("site/css/main.css")
+    const path = entry.fullPath.replace(/^\/+/, '');
+
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      files.push({ file, path });
+      return;
+    }
+
+    // readEntries() returns directory contents in batches until it returns none
+    const reader = entry.createReader();
+    for (;;) {
+      const children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (children.length === 0) {
+        break;
+      }
+      for (const child of children) {
+        await this.readDroppedEntry(child, files);
+      }
+    }
+  }
+
+  /**
+   * Check the files chosen for a folder upload
+   * Hidden files and folders (.git, .DS_Store...) are left out.
+   * @param {Array} items - [{ file, path }] with paths relative to the chosen folder's parent
+   * @returns {Object} - { name, size, files }
+   */
+  prepareFolderUpload(items) {
+    const files = items.filter(({ path }) => !path.split('/').some(part => part.startsWith('.')));
+    if (files.length === 0) {
+      throw new Error('The selected folder has no files to upload.');
+    }
+    if (!files.some(({ path }) => path.split('/').pop().toLowerCase() === 'index.html')) {
+      throw new Error(UPLOAD_OPTION_ERRORS.folder);
+    }
+
+    const size = files.reduce((total, { file }) => total + file.size, 0);
+    if (size > MAX_FOLDER_UPLOAD_BYTES) {
+      throw new Error(`Folder too large. Maximum total size is ${Math.round(MAX_FOLDER_UPLOAD_BYTES / 1000 / 1000)}MB.`);
+    }
+
+    const roots = new Set(files.map(({ path }) => path.split('/')[0]));
+    const name = roots.size === 1 && files[0].path.includes('/') ? [...roots][0] : 'Selected files';
+    return { name: `${name} (${files.length} files)`, size, files };
+  }
+
+  /**
+   * Add a folder upload's files to a form: one 'files' part per file,
+   * each followed by a 'paths' field holding its relative path
+   */
+  appendFolderFiles(formData, folder) {
+    for (const { file, path } of folder.files) {
+      formData.append('files', file, file.name);
+      formData.append('paths', path);
+    }
+  }
+
+  /**
+   * Send a form with XMLHttpRequest to report upload progress (fetch cannot)
+   * @param {Function} onProgress - Called with (sentBytes, totalBytes)
+   * @returns {Promise<Response>} - The response, as fetch() would return it
+   */
+  sendForm(method, url, formData, onProgress) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(method, url);
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) {
+          onProgress(e.loaded, e.total);
+        }
+      });
+      xhr.addEventListener('load', () => {
+        resolve(new Response(xhr.responseText, {
+          status: xhr.status,
+          headers: { 'Content-Type': xhr.getResponseHeader('Content-Type') || 'application/json' }
+        }));
+      });
+      xhr.addEventListener('error', () => reject(new TypeError('Network error while uploading')));
+      xhr.addEventListener('abort', () => reject(new Error('Upload cancelled')));
+      xhr.send(formData);
+    });
+  }
+
+  /**
+   * Follow a background job through its Server-Sent Events stream
+   * @param {string} jobId - Job ID returned by the upload route
+   * @param {Function} onProgress - Called with the job state on each progress event
+   * @returns {Promise<Object>} - The job result once it completes
+   */
+  watchJob(jobId, onProgress) {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`/api/jobs/${encodeURIComponent(jobId)}/events`);
+
+      const finish = (job) => {
+        source.close();
+        if (job.status === 'completed') {
+          resolve(job.result);
+        } else {
+          reject(new Error(this.describeUploadError(job.error || {}, 'Upload failed')));
+        }
+      };
+
+      source.addEventListener('progress', (event) => onProgress(JSON.parse(event.data)));
+      source.addEventListener('completed', (event) => finish(JSON.parse(event.data)));
+      source.addEventListener('failed', (event) => finish(JSON.parse(event.data)));
+
+      // EventSource reconnects on its own after network drops; it only gives up
+      // (CLOSED) on a bad response, so fall back to asking for the job once
+      source.onerror = async () => {
+        if (source.readyState !== EventSource.CLOSED) {
+          return;
+        }
+        try {
+          const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+          const job = await response.json();
+          if (response.ok && (job.status === 'completed' || job.status === 'failed')) {
+            finish(job);
+          } else {
+            reject(new Error('Lost connection while deploying. Check your sites list before retrying.'));
+          }
+        } catch (error) {
+          reject(new Error('Lost connection while deploying. Check your sites list before retrying.'));
+        }
+      };
+    });
+  }
+
+  /**
+   * Show a background job's stage and file counts in the upload modal
+   */
+  showJobProgress(job) {
+    const counted = (verb) => {
+      if (job.total) return `${verb} ${job.current || 0}/${job.total} files...`;
+      if (job.current) return `${verb} ${job.current} files...`;
+      return `${verb}...`;
+    };
+
+    switch (job.stage) {
+      case 'extracting':
+        this.updateStageProgress('extracting', job.total ? job.current / job.total : 0, counted('Extracting'));
+        break;
+      case 'sanitizing':
+        this.updateStageProgress('sanitizing', job.total ? job.current / job.total : 0, job.total > 1 ? counted('Sanitizing') : 'Sanitizing...');
+        break;
+      case 'optimizing':
+        this.updateStageProgress('optimizing', job.total ? job.current / job.total : 0, counted('Optimizing'));
+        break;
+      case 'publishing':
+        this.updateStageProgress('publishing', 0, 'Publishing...');
+        break;
+      default:
+        this.updateStageProgress('uploading', 1, 'Waiting to process...');
+    }
+  }
+
+  /**
+   * Update the progress bar within a stage's range and highlight the stage
+   * @param {string} stage - One of UPLOAD_STAGES
+   * @param {number} fraction - Progress within the stage, 0 to 1
+   * @param {string} text - Status text
+   */
+  updateStageProgress(stage, fraction, text) {
+    const { from, to } = UPLOAD_STAGES.find(s => s.stage === stage);
+    const clamped = Math.min(Math.max(fraction || 0, 0), 1);
+    this.setUploadStage(stage);
+    this.updateProgress(text, Math.round(from + (to - from) * clamped));
+  }
+
+  /**
+   * Mark stages before the given one as done and the given one as active
+   * (null marks every stage done)
+   */
+  setUploadStage(stage) {
+    const activeIndex = stage ? UPLOAD_STAGES.findIndex(s => s.stage === stage) : UPLOAD_STAGES.length;
+    this.modal.querySelectorAll('#progress-stages li').forEach((item, index) => {
+      item.classList.toggle('done', index < activeIndex);
+      item.classList.toggle('active', index === activeIndex);
+    });
+  }
+
   updateProgress(text, percent) {
     const progressText = this.modal.querySelector('#progress-text');
     const progressFill = this.modal.querySelector('#progress-fill');
@@ -547,8 +1048,248 @@ class TinnyDashboard {
       successDetails.innerHTML = `
         <div class="detail-item">Files: ${fileCount}</div>
         <div class="detail-item">Size: ${sizeText}</div>
-        <div class="detail-item">Type: ${data.type === 'html' ? 'HTML' : 'ZIP Archive'}</div>
+        <div class="detail-item">Type: ${this.describeUploadType(data.type)}</div>
       `;
+
+      const savings = this.describeOptimization(data.optimization);
+      if (savings) {
+        const item = document.createElement('div');
+        item.className = 'detail-item';
+        item.textContent = savings;
+        successDetails.appendChild(item);
+      }
+      
+      // Inserted in reverse so the sanitization warning comes first
+      [this.renderRuleWarning(data.ruleReport), this.renderLinkWarning(data.linkReport), this.renderSanitizeWarning(data.sanitizeReport)]
+        .filter(Boolean)
+        .forEach(warning => successDetails.after(warning));
+    }
+  }
+
+  /**
+   * One-line summary of asset optimization savings, or null if it did not run
+   */
+  describeOptimization(optimization) {
+    if (!optimization) {
+      return null;
+    }
+
+    const percent = optimization.before > 0
+      ? Math.round((optimization.savedBytes / optimization.before) * 100)
+      : 0;
+    let text = `Optimized: ${this.formatBytes(optimization.before)} → ${this.formatBytes(optimization.after)} (${percent}% smaller)`;
+    if (optimization.failures.length > 0) {
+      text += `, ${optimization.failures.length} file(s) kept as uploaded`;
+    }
+    return text;
+  }
+
+  /**
+   * One line per kind of change in a sanitization report summary
+   */
+  describeSanitizeSummary(report) {
+    return report.summary.map(entry => {
+      let text;
+      if (entry.attribute) {
+        text = `${entry.attribute} attribute removed from <${entry.tag}>`;
+      } else if (entry.action === 'replaced') {
+        text = `<${entry.tag}> replaced with <${entry.replacement}>`;
+      } else {
+        text = `<${entry.tag}> removed`;
+      }
+      return entry.count > 1 ? `${text} (${entry.count}×)` : text;
+    });
+  }
+
+  /**
+   * Warning box listing what sanitization removed, or null if nothing was
+   * Built with textContent since tag and file names come from the upload.
+   */
+  renderSanitizeWarning(report) {
+    if (!report || !report.total) {
+      return null;
+    }
+
+    const MAX_LINES = 8;
+    const lines = this.describeSanitizeSummary(report);
+    const warning = document.createElement('div');
+    warning.className = 'sanitize-warning';
+
+    const heading = document.createElement('strong');
+    heading.textContent = `⚠️ ${report.total} item(s) were removed or changed by the ${report.profile} sanitization profile`;
+    warning.appendChild(heading);
+
+    const list = document.createElement('ul');
+    lines.slice(0, MAX_LINES).forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+    if (lines.length > MAX_LINES) {
+      const more = document.createElement('li');
+      more.textContent = `…and ${lines.length - MAX_LINES} more`;
+      list.appendChild(more);
+    }
+    warning.appendChild(list);
+
+    const hint = document.createElement('small');
+    hint.textContent = 'Choose a less strict profile in Site Settings if your site relies on these.';
+    warning.appendChild(hint);
+
+    return warning;
+  }
+
+  /**
+   * One line describing a link check issue
+   */
+  describeLinkIssue(issue) {
+    const more = issue.count > issue.lines.length ? ', …' : '';
+    const where = `${issue.file}:${issue.lines.join(', ')}${more}`;
+    switch (issue.type) {
+      case 'case_mismatch':
+        return `${where} "${issue.ref}" differs in letter case from ${issue.actual}`;
+      case 'local_path':
+        return `${where} "${issue.ref}" points to a file on your computer`;
+      case 'broken_link':
+        return `${where} link to missing page "${issue.ref}"`;
+      default:
+        return `${where} missing file "${issue.ref}"`;
+    }
+  }
+
+  /**
+   * Warning box listing broken links and missing assets, or null if there are none
+   * Built with textContent since paths come from the upload.
+   */
+  renderLinkWarning(report) {
+    if (!report || !report.total) {
+      return null;
+    }
+
+    const MAX_LINES = 8;
+    const warning = document.createElement('div');
+    warning.className = 'link-warning';
+
+    const heading = document.createElement('strong');
+    heading.textContent = `⚠️ ${report.total} broken reference(s) found in ${report.checkedFiles} file(s)`;
+    warning.appendChild(heading);
+
+    const list = document.createElement('ul');
+    report.issues.slice(0, MAX_LINES).forEach(issue => {
+      const item = document.createElement('li');
+      item.textContent = this.describeLinkIssue(issue);
+      list.appendChild(item);
+    });
+    if (report.total > MAX_LINES) {
+      const more = document.createElement('li');
+      more.textContent = `…and ${report.total - MAX_LINES} more`;
+      list.appendChild(more);
+    }
+    warning.appendChild(list);
+
+    const hint = document.createElement('small');
+    hint.textContent = 'Paths are case-sensitive on this server. The site was deployed anyway.';
+    warning.appendChild(hint);
+
+    return warning;
+  }
+
+  /**
+   * Warning box listing syntax errors in _redirects and _headers, or null if there are none
+   * Built with textContent since the messages quote the uploaded files.
+   */
+  renderRuleWarning(report) {
+    if (!report || !report.total) {
+      return null;
+    }
+
+    const MAX_LINES = 8;
+    const warning = document.createElement('div');
+    warning.className = 'link-warning';
+
+    const heading = document.createElement('strong');
+    heading.textContent = `⚠️ ${report.total} error(s) in _redirects or _headers`;
+    warning.appendChild(heading);
+
+    const list = document.createElement('ul');
+    report.errors.slice(0, MAX_LINES).forEach(error => {
+      const item = document.createElement('li');
+      item.textContent = error.line ? `${error.file}:${error.line} ${error.message}` : error.message;
+      list.appendChild(item);
+    });
+    if (report.total > MAX_LINES) {
+      const more = document.createElement('li');
+      more.textContent = `…and ${report.total - MAX_LINES} more`;
+      list.appendChild(more);
+    }
+    warning.appendChild(list);
+
+    const hint = document.createElement('small');
+    hint.textContent = `Lines with errors were skipped; ${report.redirects} redirect(s) and ${report.headers} header rule(s) are active.`;
+    warning.appendChild(hint);
+
+    return warning;
+  }
+
+  /**
+   * Get the API upload type for a file chosen under an upload option
+   * ('html', 'zip' or 'document'), or null if the file does not fit the option
+   */
+  getUploadApiType(uploadOption, fileName) {
+    const name = fileName.toLowerCase();
+    const ext = name.split('.').pop();
+    
+    if (uploadOption === 'html') {
+      return ['html', 'htm'].includes(ext) ? 'html' : null;
+    }
+    if (uploadOption === 'zip') {
+      if (ext === 'zip') return 'zip';
+      if (name.endsWith('.tar') || name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar';
+      return null;
+    }
+    if (uploadOption === 'document') {
+      if (ext === 'pdf') return 'pdf';
+      if (['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'].includes(ext)) return 'image';
+      if (['md', 'markdown'].includes(ext)) return 'markdown';
+    }
+    return null;
+  }
+  
+  /**
+   * Human-readable name for an API upload type
+   */
+  describeUploadType(type) {
+    const names = {
+      html: 'HTML',
+      zip: 'ZIP Archive',
+      tar: 'Tar Archive',
+      pdf: 'PDF',
+      image: 'Image',
+      markdown: 'Markdown',
+      folder: 'Folder'
+    };
+    return names[type] || type;
+  }
+
+  /**
+   * Error message for a failed upload response
+   * Archive limit errors carry a code and {limit, actual} details.
+   */
+  describeUploadError(data, fallback) {
+    const details = data.details || {};
+    switch (data.code) {
+      case 'ARCHIVE_TOO_LARGE':
+        return `Archive is too large when extracted: over ${this.formatBytes(details.limit)} limit.`;
+      case 'ARCHIVE_TOO_MANY_ENTRIES':
+        return `Archive contains too many files (limit is ${details.limit}).`;
+      case 'ARCHIVE_TOO_DEEP':
+        return `Archive folders are nested too deeply (${details.actual} levels, limit is ${details.limit}).`;
+      case 'ARCHIVE_COMPRESSION_RATIO':
+        return `Archive was rejected: compression ratio of ${details.actual}:1 exceeds the ${details.limit}:1 limit.`;
+      case 'FILE_TYPE_MISMATCH':
+        return `${data.error}. Remove or fix "${details.file}" and upload again.`;
+      default:
+        return data.error || fallback;
     }
   }
 
@@ -642,8 +1383,9 @@ class TinnyDashboard {
                   <div class="site-header">
                     <h3><a href="${site.url}" target="_blank" rel="noopener">${site.subdomain}</a></h3>
                     ${site.password_enabled ? '<span class="password-badge">🔒 Protected</span>' : ''}
+                    ${this.renderScheduleBadge(site)}
                   </div>
-                  <p>Created ${new Date(site.created_at).toLocaleDateString()}</p>
+                  <p>Created ${new Date(site.created_at).toLocaleDateString()}${site.expires_at ? ` · Expires ${this.parseServerDate(site.expires_at).toLocaleString()}` : ''}</p>
                 </div>
                 <div class="site-actions">
                   <button class="btn-action btn-analytics" data-action="analytics" data-site-id="${site.id}" data-subdomain="${site.subdomain}" data-url="${site.url}" title="View Analytics">
@@ -652,9 +1394,15 @@ class TinnyDashboard {
                   <button class="btn-action" data-action="edit" data-site-id="${site.id}" data-subdomain="${site.subdomain}" title="Edit Code">
                     📝 Edit
                   </button>
+                  <button class="btn-action" data-action="update" data-site-id="${site.id}" data-subdomain="${site.subdomain}" title="Upload New Content">
+                    ⬆️ Update
+                  </button>
                   <button class="btn-action" data-action="view" data-url="${site.url}" title="View Site">
                     🔗 View
                   </button>
+                  <button class="btn-action" data-action="history" data-site-id="${site.id}" data-subdomain="${site.subdomain}" title="Deployment History">
+                    🕘 History
+                  </button>
                   <button class="btn-action" data-action="settings" data-site-id="${site.id}" data-subdomain="${site.subdomain}" data-password-enabled="${site.password_enabled}" title="Settings">
                     ⚙️ Settings
                   </button>
@@ -683,12 +1431,45 @@ class TinnyDashboard {
   }
   
   /**
-   * Bind event handlers for site action buttons
+   * Render a status badge for scheduled or expired sites
    */
-  bindActionButtons() {
-    const actionButtons = document.querySelectorAll('.btn-action');
-    actionButtons.forEach(btn => {
-      btn.addEventListener('click', (e) => {
+  renderScheduleBadge(site) {
+    if (site.status !== 'disabled') {
+      return '';
+    }
+    if (site.publish_at) {
+      return `<span class="site-status status-disabled" title="Publishes ${this.parseServerDate(site.publish_at).toLocaleString()}">⏰ Scheduled</span>`;
+    }
+    if (site.expires_at) {
+      return '<span class="site-status status-disabled">⌛ Expired</span>';
+    }
+    return '<span class="site-status status-disabled">Disabled</span>';
+  }
+  
+  /**
+   * Parse a UTC 'YYYY-MM-DD HH:MM:SS' timestamp from the API
+   */
+  parseServerDate(value) {
+    return new Date(value.replace(' ', 'T') + 'Z');
+  }
+  
+  /**
+   * Format a UTC API timestamp for a datetime-local input
+   */
+  toDateTimeLocal(value) {
+    if (!value) return '';
+    const date = this.parseServerDate(value);
+    const offsetMs = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+  }
+  
+  /**
+   * Bind event handlers for site action buttons
+   */
+  bindActionButtons() {
+    const actionButtons = document.querySelectorAll('.btn-action');
+    actionButtons.forEach(btn => {
+      btn.addEventListener('click', (e) => {
         e.preventDefault();
         const action = btn.dataset.action;
         const siteId = btn.dataset.siteId;
@@ -703,9 +1484,15 @@ class TinnyDashboard {
           case 'edit':
             this.openCodeEditor(siteId, subdomain);
             break;
+          case 'update':
+            this.openUpdateContent(siteId, subdomain);
+            break;
           case 'view':
             this.viewSite(url);
             break;
+          case 'history':
+            this.openDeploymentHistory(siteId, subdomain);
+            break;
           case 'settings':
             this.openSiteSettings(siteId, subdomain, passwordEnabled);
             break;
@@ -753,6 +1540,465 @@ class TinnyDashboard {
     window.open(url, '_blank', 'noopener,noreferrer');
   }
   
+  /**
+   * Open modal to redeploy new content to an existing site
+   */
+  openUpdateContent(siteId, subdomain) {
+    const updateModal = this.createUpdateModal(subdomain);
+    document.body.appendChild(updateModal);
+    
+    // ESC handling
+    updateModal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.closeUpdateModal(updateModal);
+      }
+    });
+    
+    this.bindUpdateModalEvents(updateModal, siteId, subdomain);
+  }
+  
+  /**
+   * Create update content modal
+   */
+  createUpdateModal(subdomain) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal" role="dialog" aria-modal="true" aria-labelledby="update-modal-title">
+        <div class="modal-header">
+          <h2 id="update-modal-title">Update Site - ${subdomain}</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        
+        <div class="modal-body">
+          <div class="form-group">
+            <label>Upload Type</label>
+            <div class="radio-group">
+              <label class="radio-label">
+                <input type="radio" name="updateType" value="html" checked>
+                <span class="radio-text">Single HTML File</span>
+                <small>Replace the site with a single HTML file</small>
+              </label>
+              <label class="radio-label">
+                <input type="radio" name="updateType" value="zip">
+                <span class="radio-text">Archive (ZIP or tar.gz)</span>
+                <small>Replace the site with multiple files (must contain index.html)</small>
+              </label>
+              <label class="radio-label">
+                <input type="radio" name="updateType" value="document">
+                <span class="radio-text">Document</span>
+                <small>Replace the site with a PDF, image or Markdown viewer page</small>
+              </label>
+              <label class="radio-label">
+                <input type="radio" name="updateType" value="folder">
+                <span class="radio-text">Folder</span>
+                <small>Replace the site with a folder, no need to zip it (must contain index.html)</small>
+              </label>
+            </div>
+          </div>
+          
+          <div class="form-group">
+            <label for="update-file-input">Select File</label>
+            <div class="file-input-container">
+              <input type="file" id="update-file-input" accept=".html,.htm">
+              <div class="file-drop-zone" id="update-drop-zone">
+                <div class="file-drop-text" id="update-drop-text">
+                  <strong>Choose a file</strong> or drag a file or folder here
+                </div>
+              </div>
+            </div>
+            <small>The subdomain, password protection and analytics are kept. Previous versions stay available in History.</small>
+          </div>
+          
+          <div class="form-group">
+            <label class="checkbox-label">
+              <input type="checkbox" id="update-as-preview">
+              <span class="checkbox-text">Deploy as preview</span>
+              <small>Publish to a temporary preview URL and promote it to production from History</small>
+            </label>
+          </div>
+        </div>
+        
+        <div class="modal-footer">
+          <button type="button" class="btn btn-secondary" id="update-cancel-btn">Cancel</button>
+          <button type="button" class="btn btn-primary" id="update-deploy-btn" disabled>Update Site</button>
+        </div>
+      </div>
+    `;
+    
+    return modal;
+  }
+  
+  /**
+   * Bind events for update content modal
+   */
+  bindUpdateModalEvents(modal, siteId, subdomain) {
+    const closeBtn = modal.querySelector('.modal-close');
+    const cancelBtn = modal.querySelector('#update-cancel-btn');
+    const deployBtn = modal.querySelector('#update-deploy-btn');
+    const fileInput = modal.querySelector('#update-file-input');
+    const dropZone = modal.querySelector('#update-drop-zone');
+    const dropText = modal.querySelector('#update-drop-text');
+    let updateType = 'html';
+    let selectedFile = null;
+    let selectedFolder = null;
+    
+    [closeBtn, cancelBtn].forEach(btn => {
+      btn.addEventListener('click', () => this.closeUpdateModal(modal));
+    });
+    
+    const showSelection = (selection) => {
+      dropText.innerHTML = selection
+        ? `<strong>${selection.name}</strong> (${this.formatBytes(selection.size)})`
+        : '<strong>Choose a file</strong> or drag a file or folder here';
+      deployBtn.disabled = !selection;
+    };
+    
+    const selectFile = (file) => {
+      if (file && !this.getUploadApiType(updateType, file.name)) {
+        this.showError(UPLOAD_OPTION_ERRORS[updateType]);
+        file = null;
+      }
+      
+      selectedFile = file;
+      selectedFolder = null;
+      showSelection(selectedFile);
+    };
+    
+    const selectFolder = (items) => {
+      try {
+        selectedFolder = this.prepareFolderUpload(items);
+      } catch (error) {
+        selectedFolder = null;
+        this.showError(error.message);
+      }
+      selectedFile = null;
+      showSelection(selectedFolder);
+    };
+    
+    const setUpdateType = (type) => {
+      updateType = type;
+      modal.querySelector(`input[name="updateType"][value="${type}"]`).checked = true;
+      this.configureFileInput(fileInput, updateType);
+    };
+    
+    modal.querySelectorAll('input[name="updateType"]').forEach(radio => {
+      radio.addEventListener('change', (e) => {
+        setUpdateType(e.target.value);
+        selectFile(null);
+      });
+    });
+    
+    fileInput.addEventListener('change', (e) => {
+      if (updateType === 'folder') {
+        selectFolder(Array.from(e.target.files, file => ({ file, path: file.webkitRelativePath || file.name })));
+      } else {
+        selectFile(e.target.files[0]);
+      }
+    });
+    
+    dropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropZone.classList.add('dragover');
+    });
+    
+    dropZone.addEventListener('dragleave', () => {
+      dropZone.classList.remove('dragover');
+    });
+    
+    dropZone.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      dropZone.classList.remove('dragover');
+      const droppedFiles = e.dataTransfer.files;
+      const dropped = await this.collectDroppedFiles(e.dataTransfer);
+      
+      // A dropped folder or several files switch to a folder upload
+      if (dropped.hasFolder || dropped.files.length > 1) {
+        setUpdateType('folder');
+        selectFolder(dropped.files);
+      } else if (droppedFiles[0]) {
+        if (updateType === 'folder') {
+          setUpdateType(this.guessUploadOption(droppedFiles[0].name));
+        }
+        selectFile(droppedFiles[0]);
+      }
+    });
+    
+    dropZone.addEventListener('click', () => fileInput.click());
+    
+    deployBtn.addEventListener('click', async () => {
+      if (!selectedFile && !selectedFolder) {
+        return;
+      }
+      
+      try {
+        deployBtn.disabled = true;
+        deployBtn.textContent = 'Uploading...';
+        
+        const showUploadProgress = (received, total) => {
+          deployBtn.textContent = `Uploading ${Math.round((received / total) * 100)}%...`;
+        };
+        const asPreview = modal.querySelector('#update-as-preview').checked;
+        const url = asPreview ? `/api/sites/${siteId}/previews` : `/api/sites/${siteId}/content`;
+        const method = asPreview ? 'POST' : 'PUT';
+        const formData = new FormData();
+        
+        let response;
+        if (selectedFolder) {
+          formData.append('type', 'folder');
+          this.appendFolderFiles(formData, selectedFolder);
+          response = await this.sendForm(method, url, formData, (sent, total) => {
+            showUploadProgress(sent, total);
+            if (sent === total) {
+              deployBtn.textContent = 'Updating...';
+            }
+          });
+        } else {
+          const uploadId = await this.uploadInChunks(selectedFile, showUploadProgress);
+          deployBtn.textContent = 'Updating...';
+          
+          formData.append('type', this.getUploadApiType(updateType, selectedFile.name));
+          formData.append('uploadId', uploadId);
+          
+          response = await fetch(url, { method, body: formData });
+          this.pendingUpload = null;
+        }
+        const data = await response.json();
+        
+        if (!response.ok) {
+          throw new Error(this.describeUploadError(data, 'Update failed'));
+        }
+        
+        this.closeUpdateModal(modal);
+        this.refreshSites();
+        
+        const removed = data.sanitizeReport ? data.sanitizeReport.total : 0;
+        const removedText = removed ? ` Sanitization removed or changed ${removed} item(s).` : '';
+        const savings = this.describeOptimization(data.optimization);
+        const broken = data.linkReport ? data.linkReport.total : 0;
+        const brokenText = broken ? ` Found ${broken} broken link(s) or missing file(s).` : '';
+        const ruleErrors = data.ruleReport ? data.ruleReport.total : 0;
+        const ruleText = ruleErrors ? ` Skipped ${ruleErrors} invalid line(s) in _redirects or _headers.` : '';
+        const details = `${removedText}${brokenText}${ruleText}${savings ? ` ${savings}.` : ''}`;
+        const toastType = removed || broken || ruleErrors ? 'warning' : 'success';
+        
+        if (asPreview) {
+          this.showToast(`Preview ready for "${subdomain}".${details}`, toastType);
+          window.open(data.url, '_blank', 'noopener,noreferrer');
+        } else {
+          this.showToast(`Site "${subdomain}" has been updated.${details}`, toastType);
+        }
+      } catch (error) {
+        console.error('Update site error:', error);
+        alert(`Error: ${error.message}`);
+        deployBtn.disabled = false;
+        deployBtn.textContent = 'Update Site';
+      }
+    });
+  }
+  
+  /**
+   * Close update content modal
+   */
+  closeUpdateModal(modal) {
+    document.body.removeChild(modal);
+  }
+  
+  /**
+   * Open deployment history modal
+   */
+  openDeploymentHistory(siteId, subdomain) {
+    const historyModal = this.createDeploymentHistoryModal(subdomain);
+    document.body.appendChild(historyModal);
+    
+    // ESC handling
+    historyModal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.closeDeploymentHistoryModal(historyModal);
+      }
+    });
+    
+    const closeBtn = historyModal.querySelector('.modal-close');
+    const doneBtn = historyModal.querySelector('#history-close-btn');
+    [closeBtn, doneBtn].forEach(btn => {
+      btn.addEventListener('click', () => this.closeDeploymentHistoryModal(historyModal));
+    });
+    
+    this.loadDeployments(historyModal, siteId);
+  }
+  
+  /**
+   * Create deployment history modal
+   */
+  createDeploymentHistoryModal(subdomain) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal" role="dialog" aria-modal="true" aria-labelledby="history-modal-title">
+        <div class="modal-header">
+          <h2 id="history-modal-title">Deployment History - ${subdomain}</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        
+        <div class="modal-body">
+          <div class="deployments-list" id="deployments-list">
+            <p class="deployments-empty">Loading deployments...</p>
+          </div>
+        </div>
+        
+        <div class="modal-footer">
+          <button type="button" class="btn btn-secondary" id="history-close-btn">Close</button>
+        </div>
+      </div>
+    `;
+    
+    return modal;
+  }
+  
+  /**
+   * Load and render deployments for a site
+   */
+  async loadDeployments(modal, siteId) {
+    const list = modal.querySelector('#deployments-list');
+    
+    try {
+      const response = await fetch(`/api/sites/${siteId}/deployments`);
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load deployments');
+      }
+      
+      if (data.deployments.length === 0) {
+        list.innerHTML = '<p class="deployments-empty">No deployments recorded for this site yet.</p>';
+        return;
+      }
+      
+      list.innerHTML = data.deployments.map(deployment => `
+        <div class="deployment-item ${deployment.active ? 'deployment-active' : ''}">
+          <div class="deployment-info">
+            <strong>v${deployment.version}</strong>
+            <span class="deployment-source">${this.describeDeployment(deployment)}</span>
+            <small>${new Date(deployment.created_at).toLocaleString()} · ${this.formatBytes(deployment.size_bytes || 0)}</small>
+          </div>
+          ${this.renderDeploymentActions(deployment)}
+        </div>
+      `).join('');
+      
+      list.querySelectorAll('[data-deployment-action="rollback"]').forEach(btn => {
+        btn.addEventListener('click', () => this.rollbackDeployment(modal, siteId, btn));
+      });
+      
+      list.querySelectorAll('[data-deployment-action="promote"]').forEach(btn => {
+        btn.addEventListener('click', () => this.promoteDeployment(modal, siteId, btn));
+      });
+    } catch (error) {
+      console.error('Load deployments error:', error);
+      list.innerHTML = `<p class="deployments-empty">${error.message}</p>`;
+    }
+  }
+  
+  /**
+   * Action buttons for a deployment row
+   */
+  renderDeploymentActions(deployment) {
+    if (deployment.active) {
+      return '<span class="deployment-badge">Live</span>';
+    }
+    
+    if (deployment.previewUrl) {
+      return `
+        <div class="deployment-actions">
+          <a class="btn-action" href="${deployment.previewUrl}" target="_blank" rel="noopener">👁️ Preview</a>
+          <button class="btn-action" data-deployment-action="promote" data-deployment-id="${deployment.id}" data-version="${deployment.version}">🚀 Promote</button>
+        </div>
+      `;
+    }
+    
+    return `<button class="btn-action" data-deployment-action="rollback" data-deployment-id="${deployment.id}" data-version="${deployment.version}">↩️ Roll back</button>`;
+  }
+  
+  /**
+   * Promote a preview deployment to production
+   */
+  async promoteDeployment(modal, siteId, btn) {
+    const { deploymentId, version } = btn.dataset;
+    
+    try {
+      btn.disabled = true;
+      btn.textContent = 'Promoting...';
+      
+      const response = await fetch(`/api/sites/${siteId}/deployments/${deploymentId}/promote`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Promote failed');
+      }
+      
+      this.showToast(`Preview v${version} is now live`, 'success');
+      await this.loadDeployments(modal, siteId);
+    } catch (error) {
+      console.error('Promote error:', error);
+      alert(`Error: ${error.message}`);
+      btn.disabled = false;
+      btn.textContent = '🚀 Promote';
+    }
+  }
+  
+  /**
+   * Human-readable description of where a deployment came from
+   */
+  describeDeployment(deployment) {
+    if (deployment.previewUrl) {
+      return `Preview (expires ${new Date(deployment.preview_expires_at).toLocaleString()})`;
+    }
+    if (deployment.source === 'editor') {
+      return `Edited ${deployment.meta?.file || 'file'}`;
+    }
+    if (deployment.source === 'git') {
+      return `Git push ${(deployment.commit_sha || '').slice(0, 7)} (${deployment.meta?.branch || 'main'})`;
+    }
+    return `${this.describeUploadType(deployment.type)} upload`;
+  }
+  
+  /**
+   * Roll a site back to a previous deployment
+   */
+  async rollbackDeployment(modal, siteId, btn) {
+    const { deploymentId, version } = btn.dataset;
+    
+    try {
+      btn.disabled = true;
+      btn.textContent = 'Rolling back...';
+      
+      const response = await fetch(`/api/sites/${siteId}/deployments/${deploymentId}/rollback`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Rollback failed');
+      }
+      
+      this.showToast(`Rolled back to v${version}`, 'success');
+      await this.loadDeployments(modal, siteId);
+    } catch (error) {
+      console.error('Rollback error:', error);
+      alert(`Error: ${error.message}`);
+      btn.disabled = false;
+      btn.textContent = '↩️ Roll back';
+    }
+  }
+  
+  /**
+   * Close deployment history modal
+   */
+  closeDeploymentHistoryModal(modal) {
+    document.body.removeChild(modal);
+  }
+  
   /**
    * Open site settings modal
    */
@@ -768,6 +2014,50 @@ class TinnyDashboard {
     });
     
     this.bindSettingsModalEvents(settingsModal, siteId);
+    this.loadSiteSettings(settingsModal, siteId);
+  }
+  
+  /**
+   * Fill the settings modal with the site's current schedule and URL
+   */
+  async loadSiteSettings(modal, siteId) {
+    try {
+      const response = await fetch(`/api/sites/${siteId}`);
+      if (!response.ok) {
+        throw new Error('Failed to load site settings');
+      }
+      
+      const site = await response.json();
+      const siteUrl = modal.querySelector('#settings-site-url');
+      siteUrl.href = site.url;
+      siteUrl.textContent = site.url;
+      
+      modal.querySelector('#settings-publish-at').value = this.toDateTimeLocal(site.publish_at);
+      modal.querySelector('#settings-expires-at').value = this.toDateTimeLocal(site.expires_at);
+      modal.querySelector('#settings-expired-message').value = site.expired_message || '';
+      modal.querySelector('#settings-git-url').value = site.gitUrl;
+      modal.querySelector('#settings-git-branch').value = site.git_branch || 'main';
+      
+      const profileRadio = modal.querySelector(`input[name="settingsSanitizeProfile"][value="${site.sanitize_profile || 'strict'}"]`);
+      if (profileRadio) {
+        profileRadio.checked = true;
+      }
+      modal.querySelector('#settings-optimize-assets').checked = Boolean(site.optimize_assets);
+      const routingRadio = modal.querySelector(`input[name="settingsRoutingMode"][value="${site.routing_mode || 'static'}"]`);
+      if (routingRadio) {
+        routingRadio.checked = true;
+      }
+      modal.querySelector('#settings-clean-urls').checked = Boolean(site.clean_urls);
+      const trailingSlashRadio = modal.querySelector(`input[name="settingsTrailingSlash"][value="${site.trailing_slash || 'auto'}"]`);
+      if (trailingSlashRadio) {
+        trailingSlashRadio.checked = true;
+      }
+      CACHE_CONTROL_OPTIONS.forEach(({ cacheClass }) => {
+        modal.querySelector(`#settings-cache-${cacheClass}`).value = (site.cache_control || {})[cacheClass] || '';
+      });
+    } catch (error) {
+      console.error('Load settings error:', error);
+    }
   }
   
   /**
@@ -799,6 +2089,99 @@ class TinnyDashboard {
             </div>
           </div>
           
+          <div class="settings-section">
+            <h3>Schedule</h3>
+            <div class="form-group schedule-options">
+              <label for="settings-publish-at">Publish at</label>
+              <input type="datetime-local" id="settings-publish-at">
+              <small>Leave empty to keep the site live now</small>
+              
+              <label for="settings-expires-at">Expires at</label>
+              <input type="datetime-local" id="settings-expires-at">
+              <small>After this time visitors see an expired page instead of the site</small>
+              
+              <label for="settings-expired-message">Expired page message</label>
+              <textarea id="settings-expired-message" rows="2" maxlength="500" placeholder="This link has expired and is no longer available."></textarea>
+            </div>
+          </div>
+          
+          <div class="settings-section">
+            <h3>HTML Sanitization</h3>
+            <div class="form-group">
+              <div class="radio-group">${this.renderSanitizeProfileOptions('settingsSanitizeProfile', 'strict')}
+              </div>
+              <small>Applies to the next upload, git push or editor save</small>
+            </div>
+          </div>
+          
+          <div class="settings-section">
+            <h3>Asset Optimization</h3>
+            <div class="form-group">
+              <label class="checkbox-label">
+                <input type="checkbox" id="settings-optimize-assets">
+                <span class="checkbox-text">Optimize Assets</span>
+              </label>
+              <small>Minifies HTML, CSS and JS, strips JPEG metadata and precompresses text files on the next ZIP/tar.gz upload or git push</small>
+            </div>
+          </div>
+          
+          <div class="settings-section">
+            <h3>Routing</h3>
+            <div class="form-group">
+              <div class="radio-group">${ROUTING_MODE_OPTIONS.map(option => `
+                <label class="radio-label">
+                  <input type="radio" name="settingsRoutingMode" value="${option.value}" ${option.value === 'static' ? 'checked' : ''}>
+                  <span class="radio-text">${option.label}</span>
+                  <small>${option.description}</small>
+                </label>`).join('')}
+              </div>
+            </div>
+            <div class="form-group">
+              <label class="checkbox-label">
+                <input type="checkbox" id="settings-clean-urls">
+                <span class="checkbox-text">Clean URLs</span>
+              </label>
+              <small>/about serves about.html, and /about.html redirects to /about</small>
+            </div>
+            <div class="form-group">
+              <label>Trailing slashes</label>
+              <div class="radio-group">${TRAILING_SLASH_OPTIONS.map(option => `
+                <label class="radio-label">
+                  <input type="radio" name="settingsTrailingSlash" value="${option.value}" ${option.value === 'auto' ? 'checked' : ''}>
+                  <span class="radio-text">${option.label}</span>
+                  <small>${option.description}</small>
+                </label>`).join('')}
+              </div>
+            </div>
+          </div>
+          
+          <div class="settings-section">
+            <h3>Browser Caching</h3>
+            <div class="form-group cache-options">${CACHE_CONTROL_OPTIONS.map(({ cacheClass, label, placeholder }) => `
+              <label for="settings-cache-${cacheClass}">${label}</label>
+              <input type="text" id="settings-cache-${cacheClass}" maxlength="200" placeholder="${placeholder}">`).join('')}
+              <small>Cache-Control header sent with each file type. Leave empty for the default shown. Password-protected sites are always cached privately.</small>
+            </div>
+          </div>
+          
+          <div class="settings-section">
+            <h3>Git Deploy</h3>
+            <div class="form-group git-options">
+              <label for="settings-git-url">Remote URL</label>
+              <input type="text" id="settings-git-url" readonly>
+              <small>Push with your account email and password, or a deploy token as the password</small>
+              
+              <label for="settings-git-branch">Deploy branch</label>
+              <input type="text" id="settings-git-branch" placeholder="main">
+              
+              <button type="button" class="btn btn-secondary btn-sm" id="settings-create-token-btn">Create Deploy Token</button>
+              <div id="settings-token-result" style="display: none;">
+                <input type="text" id="settings-token-value" readonly>
+                <small>Copy this token now, it will not be shown again</small>
+              </div>
+            </div>
+          </div>
+          
           <div class="settings-section">
             <h3>Site Information</h3>
             <div class="info-item">
@@ -861,16 +2244,65 @@ class TinnyDashboard {
       });
     }
     
+    // Deploy token
+    const createTokenBtn = modal.querySelector('#settings-create-token-btn');
+    createTokenBtn.addEventListener('click', () => this.createDeployToken(modal, createTokenBtn));
+    
     // Save button
     saveBtn.addEventListener('click', () => this.saveSettings(modal, siteId));
   }
   
+  /**
+   * Create a deploy token and show it once in the settings modal
+   */
+  async createDeployToken(modal, btn) {
+    const subdomain = modal.querySelector('#settings-git-url').value.split('/').pop().replace(/\.git$/, '');
+    
+    try {
+      btn.disabled = true;
+      
+      const response = await fetch('/api/tokens', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name: `git push (${subdomain || 'site'})` })
+      });
+      
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to create deploy token');
+      }
+      
+      modal.querySelector('#settings-token-value').value = result.token;
+      modal.querySelector('#settings-token-result').style.display = 'block';
+    } catch (error) {
+      console.error('Create token error:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+  
   /**
    * Save site settings
    */
   async saveSettings(modal, siteId) {
     const passwordEnabled = modal.querySelector('#settings-enable-password').checked;
     const password = modal.querySelector('#settings-password').value;
+    const publishAt = modal.querySelector('#settings-publish-at').value;
+    const expiresAt = modal.querySelector('#settings-expires-at').value;
+    const expiredMessage = modal.querySelector('#settings-expired-message').value;
+    const gitBranch = modal.querySelector('#settings-git-branch').value.trim() || 'main';
+    const sanitizeProfile = modal.querySelector('input[name="settingsSanitizeProfile"]:checked').value;
+    const optimizeAssets = modal.querySelector('#settings-optimize-assets').checked;
+    const routingMode = modal.querySelector('input[name="settingsRoutingMode"]:checked').value;
+    const cleanUrls = modal.querySelector('#settings-clean-urls').checked;
+    const trailingSlash = modal.querySelector('input[name="settingsTrailingSlash"]:checked').value;
+    const cacheControl = {};
+    CACHE_CONTROL_OPTIONS.forEach(({ cacheClass }) => {
+      cacheControl[cacheClass] = modal.querySelector(`#settings-cache-${cacheClass}`).value.trim() || null;
+    });
     const saveBtn = modal.querySelector('#settings-save-btn');
     
     if (passwordEnabled && password && password.length !== 6) {
@@ -878,6 +2310,11 @@ class TinnyDashboard {
       return;
     }
     
+    if (publishAt && expiresAt && new Date(expiresAt) <= new Date(publishAt)) {
+      alert('Expiry time must be after the publish time');
+      return;
+    }
+    
     try {
       saveBtn.disabled = true;
       saveBtn.textContent = 'Saving...';
@@ -908,6 +2345,31 @@ class TinnyDashboard {
         }
       }
       
+      // Save publish/expiry schedule (datetime-local values are local time), git branch, sanitization profile, optimization, routing, URLs and caching
+      const scheduleResponse = await fetch(`/api/sites/${siteId}/settings`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          publishAt: publishAt ? new Date(publishAt).toISOString() : null,
+          expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+          expiredMessage,
+          gitBranch,
+          sanitizeProfile,
+          optimizeAssets,
+          routingMode,
+          cleanUrls,
+          trailingSlash,
+          cacheControl
+        })
+      });
+      
+      if (!scheduleResponse.ok) {
+        const error = await scheduleResponse.json();
+        throw new Error(error.error || 'Failed to save settings');
+      }
+      
       this.closeSettingsModal(modal);
       this.refreshSites();
       
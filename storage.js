@@ -1,16 +1,29 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 /**
  * Storage module for Tinny
  * 
  * Handles file system operations for sites stored in sites/<userId>/<siteId>/ structure
+ * and deployment trees stored in deployments/<userId>/<siteId>/<deploymentId>/.
+ * The live site path is a symlink to the active deployment tree.
+ *
+ * File contents are content-addressed: every file in a published deployment is
+ * a hard link to blobs/<hash prefix>/<sha256>, so identical assets are stored
+ * once across deployments and sites. A blob whose link count drops to 1 is no
+ * longer referenced by any deployment and is removed by sweepBlobs().
+ * Files are therefore never written through the live site path; changes are
+ * staged as a new deployment (see deployments.js).
  */
 
 class StorageManager {
   constructor() {
     this.sitesDir = path.join(__dirname, 'sites');
+    this.deploymentsDir = path.join(__dirname, 'deployments');
+    this.blobsDir = path.join(__dirname, 'blobs');
+    this.reposDir = path.join(__dirname, 'repos');
     this.tmpDir = path.join(__dirname, 'tmp');
     this.staticDir = path.join(__dirname, 'static');
   }
@@ -20,6 +33,9 @@ class StorageManager {
    */
   async ensureDirectories() {
     await this.ensureDir(this.sitesDir);
+    await this.ensureDir(this.deploymentsDir);
+    await this.ensureDir(this.blobsDir);
+    await this.ensureDir(this.reposDir);
     await this.ensureDir(this.tmpDir);
     await this.ensureDir(this.staticDir);
   }
@@ -53,6 +69,20 @@ class StorageManager {
     return path.join(this.sitesDir, userId);
   }
 
+  /**
+   * Get snapshot directory path for a deployment
+   */
+  getDeploymentDir(userId, siteId, deploymentId) {
+    return path.join(this.deploymentsDir, userId, siteId, deploymentId);
+  }
+
+  /**
+   * Get bare git repository path for a site (used for git push deploys)
+   */
+  getRepoDir(userId, siteId) {
+    return path.join(this.reposDir, userId, `${siteId}.git`);
+  }
+
   /**
    * Check if site directory exists
    */
@@ -67,72 +97,304 @@ class StorageManager {
   }
 
   /**
-   * Create site directory
+   * Recursively copy a directory tree
    */
-  async createSiteDir(userId, siteId) {
-    const siteDir = this.getSiteDir(userId, siteId);
-    await this.ensureDir(siteDir);
-    return siteDir;
+  async copyDirectory(sourceDir, destDir) {
+    await this.ensureDir(destDir);
+    const items = await fs.readdir(sourceDir, { withFileTypes: true });
+
+    for (const item of items) {
+      const sourcePath = path.join(sourceDir, item.name);
+      const destPath = path.join(destDir, item.name);
+
+      if (item.isDirectory()) {
+        await this.copyDirectory(sourcePath, destPath);
+      } else if (item.isFile()) {
+        await fs.copyFile(sourcePath, destPath);
+      }
+    }
   }
 
   /**
-   * Write file to site directory
+   * Get staging directory path for a deployment that is still being built
    */
-  async writeFile(userId, siteId, fileName, content) {
-    const siteDir = await this.createSiteDir(userId, siteId);
-    const filePath = path.join(siteDir, fileName);
-    
-    // Ensure we're writing within the site directory (security check)
-    const normalizedPath = path.normalize(filePath);
-    if (!normalizedPath.startsWith(siteDir)) {
-      throw new Error('Invalid file path: path traversal detected');
+  getStagingDir(userId, siteId, deploymentId) {
+    return `${this.getDeploymentDir(userId, siteId, deploymentId)}.staging`;
+  }
+
+  /**
+   * Create an empty staging directory for a new deployment
+   */
+  async createStagingDir(userId, siteId, deploymentId) {
+    const stagingDir = this.getStagingDir(userId, siteId, deploymentId);
+    await fs.mkdir(stagingDir, { recursive: true });
+    return stagingDir;
+  }
+
+  /**
+   * Move a finished staging directory into the blob store and to its final deployment path
+   * @returns {Promise<Object>} - Manifest and blob statistics (see dedupeTree)
+   */
+  async finalizeStagingDir(userId, siteId, deploymentId) {
+    const stagingDir = this.getStagingDir(userId, siteId, deploymentId);
+    const result = await this.dedupeTree(stagingDir);
+    await fs.rename(stagingDir, this.getDeploymentDir(userId, siteId, deploymentId));
+    return result;
+  }
+
+  /**
+   * Get blob path for a content hash
+   */
+  getBlobPath(hash) {
+    return path.join(this.blobsDir, hash.slice(0, 2), hash);
+  }
+
+  /**
+   * Calculate the SHA-256 hash of a file
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fsSync.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Store a file in the blob store and replace it with a hard link to the blob
+   *
+   * New content is linked into the store directly (nothing is copied). Known
+   * content is linked back over the file, so only changed files take up space.
+   * @returns {Promise<{hash: string, created: boolean}>}
+   */
+  async storeBlob(filePath) {
+    const hash = await this.hashFile(filePath);
+    const blobPath = this.getBlobPath(hash);
+    await this.ensureDir(path.dirname(blobPath));
+
+    try {
+      await fs.link(filePath, blobPath);
+      return { hash, created: true };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
     }
 
-    await fs.writeFile(filePath, content);
-    return filePath;
+    // Link to a temp name first so the blob never drops to a single link mid-swap
+    const tempPath = `${filePath}.blob-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    try {
+      await fs.link(blobPath, tempPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // Blob was swept between the two links; store this copy instead
+        return this.storeBlob(filePath);
+      }
+      throw error;
+    }
+    await fs.rename(tempPath, filePath);
+    return { hash, created: false };
   }
 
   /**
-   * Copy file to site directory
+   * Replace every file in a directory tree with a link into the blob store
+   * @returns {Promise<Object>} - { manifest: { path: { hash, size } }, newBlobs, newBytes, totalBytes }
    */
-  async copyFile(sourcePath, userId, siteId, fileName) {
-    const siteDir = await this.createSiteDir(userId, siteId);
-    const destPath = path.join(siteDir, fileName);
-    
-    // Security check
-    const normalizedPath = path.normalize(destPath);
-    if (!normalizedPath.startsWith(siteDir)) {
-      throw new Error('Invalid file path: path traversal detected');
+  async dedupeTree(dirPath) {
+    const manifest = {};
+    let newBlobs = 0;
+    let newBytes = 0;
+    let totalBytes = 0;
+
+    for (const relativePath of await this.listFiles(dirPath)) {
+      const filePath = path.join(dirPath, relativePath);
+      const { size } = await fs.stat(filePath);
+      const { hash, created } = await this.storeBlob(filePath);
+
+      manifest[relativePath] = { hash, size };
+      totalBytes += size;
+      if (created) {
+        newBlobs += 1;
+        newBytes += size;
+      }
     }
 
-    await fs.copyFile(sourcePath, destPath);
-    return destPath;
+    return { manifest, newBlobs, newBytes, totalBytes };
   }
 
   /**
-   * Create a subdirectory within a site
+   * Delete blobs that are no longer linked from any deployment
+   * @param {string[]} [hashes] - Only check these blobs (those of removed
+   *   deployments) instead of scanning the whole store
+   * @returns {Promise<{removed: number, freedBytes: number}>}
    */
-  async createSubdir(userId, siteId, subdirName) {
+  async sweepBlobs(hashes = null) {
+    let removed = 0;
+    let freedBytes = 0;
+
+    const blobPaths = hashes ? hashes.map(hash => this.getBlobPath(hash)) : await this.listBlobs();
+    for (const blobPath of blobPaths) {
+      let stats;
+      try {
+        stats = await fs.stat(blobPath);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+      if (stats.nlink <= 1) {
+        await fs.unlink(blobPath);
+        removed += 1;
+        freedBytes += stats.size;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`Blob sweep removed ${removed} unreferenced blob(s), freed ${freedBytes} bytes`);
+    }
+    return { removed, freedBytes };
+  }
+
+  /**
+   * List the paths of all blobs in the store
+   */
+  async listBlobs() {
+    let prefixes;
+    try {
+      prefixes = await fs.readdir(this.blobsDir);
+    } catch (error) {
+      return [];
+    }
+
+    const blobPaths = [];
+    for (const prefix of prefixes) {
+      const prefixDir = path.join(this.blobsDir, prefix);
+      for (const name of await fs.readdir(prefixDir)) {
+        blobPaths.push(path.join(prefixDir, name));
+      }
+    }
+    return blobPaths;
+  }
+
+  /**
+   * Point the live site path at a deployment directory
+   *
+   * The live path sites/<userId>/<siteId> is a symlink to the active deployment.
+   * A new symlink is created next to it and renamed over the old one, so
+   * visitors see either the old tree or the new tree, never a mix of both.
+   * Sites created before deployments existed have a real directory at the
+   * live path; it is moved aside and removed once the symlink is in place.
+   * With options.keepLegacy it is kept instead, so the caller can put it back
+   * (restoreLegacyDir) if publishing fails, or remove it (removeLegacyDir).
+   * @returns {Promise<string|null>} - The kept legacy directory, if any
+   */
+  async activateDeployment(userId, siteId, deploymentId, { keepLegacy = false } = {}) {
     const siteDir = this.getSiteDir(userId, siteId);
-    const subdirPath = path.join(siteDir, subdirName);
-    
-    // Security check
-    const normalizedPath = path.normalize(subdirPath);
-    if (!normalizedPath.startsWith(siteDir)) {
-      throw new Error('Invalid directory path: path traversal detected');
+    const deploymentDir = this.getDeploymentDir(userId, siteId, deploymentId);
+    const suffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    const tempLink = path.join(path.dirname(siteDir), `.${siteId}.link-${suffix}`);
+
+    // Make sure the deployment exists before touching the live site
+    await fs.access(deploymentDir);
+    await this.ensureDir(path.dirname(siteDir));
+    await fs.symlink(path.relative(path.dirname(siteDir), deploymentDir), tempLink, 'dir');
+
+    let legacyDir = null;
+    try {
+      const stats = await fs.lstat(siteDir);
+      if (!stats.isSymbolicLink()) {
+        legacyDir = path.join(path.dirname(siteDir), `.${siteId}.old-${suffix}`);
+        await fs.rename(siteDir, legacyDir);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        await fs.unlink(tempLink);
+        throw error;
+      }
+    }
+
+    try {
+      await fs.rename(tempLink, siteDir);
+    } catch (error) {
+      await fs.unlink(tempLink).catch(() => {});
+      if (legacyDir) {
+        await fs.rename(legacyDir, siteDir).catch(() => {});
+      }
+      throw error;
     }
 
-    await this.ensureDir(subdirPath);
-    return subdirPath;
+    if (legacyDir && !keepLegacy) {
+      await this.removeLegacyDir(legacyDir);
+      return null;
+    }
+    return legacyDir;
   }
 
   /**
-   * Delete site directory and all contents
+   * Move a legacy site directory kept by activateDeployment back to the live path
    */
-  async deleteSite(userId, siteId) {
+  async restoreLegacyDir(userId, siteId, legacyDir) {
+    const siteDir = this.getSiteDir(userId, siteId);
+    await fs.rm(siteDir, { force: true });
+    await fs.rename(legacyDir, siteDir);
+    console.log(`Restored legacy directory for site ${siteId}`);
+  }
+
+  /**
+   * Delete a legacy site directory once the deployment replacing it is recorded
+   */
+  async removeLegacyDir(legacyDir) {
+    if (!legacyDir) {
+      return;
+    }
+    try {
+      await fs.rm(legacyDir, { recursive: true, force: true });
+    } catch (error) {
+      console.warn(`Failed to remove legacy directory ${legacyDir}:`, error.message);
+    }
+  }
+
+  /**
+   * Check if a deployment snapshot exists
+   */
+  async deploymentExists(userId, siteId, deploymentId) {
+    try {
+      await fs.access(this.getDeploymentDir(userId, siteId, deploymentId));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Delete a single deployment snapshot (and its staging directory, if any)
+   */
+  async deleteDeployment(userId, siteId, deploymentId) {
+    try {
+      await fs.rm(this.getDeploymentDir(userId, siteId, deploymentId), { recursive: true, force: true });
+      await fs.rm(this.getStagingDir(userId, siteId, deploymentId), { recursive: true, force: true });
+      return true;
+    } catch (error) {
+      console.error(`Failed to delete deployment ${deploymentId} for site ${siteId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete site directory and all contents, including deployment snapshots
+   * @param {string[]} [blobHashes] - Blobs used by the site's deployments; the
+   *   whole blob store is swept when omitted
+   */
+  async deleteSite(userId, siteId, blobHashes = null) {
     const siteDir = this.getSiteDir(userId, siteId);
     try {
       await fs.rm(siteDir, { recursive: true, force: true });
+      await fs.rm(path.join(this.deploymentsDir, userId, siteId), { recursive: true, force: true });
+      await fs.rm(this.getRepoDir(userId, siteId), { recursive: true, force: true });
+      await this.sweepBlobs(blobHashes);
       return true;
     } catch (error) {
       console.error(`Failed to delete site ${siteId} for user ${userId}:`, error);
@@ -178,6 +440,26 @@ class StorageManager {
     }
   }
 
+  /**
+   * List files in a directory tree as relative paths (forward slashes)
+   */
+  async listFiles(dirPath, prefix = '') {
+    const files = [];
+    const items = await fs.readdir(dirPath, { withFileTypes: true });
+
+    for (const item of items) {
+      const relativePath = prefix ? `${prefix}/${item.name}` : item.name;
+
+      if (item.isDirectory()) {
+        files.push(...await this.listFiles(path.join(dirPath, item.name), relativePath));
+      } else if (item.isFile()) {
+        files.push(relativePath);
+      }
+    }
+
+    return files;
+  }
+
   /**
    * Get site size in bytes
    */
@@ -190,6 +472,50 @@ class StorageManager {
     }
   }
 
+  /**
+   * Get logical and physical storage usage for a site
+   *
+   * logicalBytes is the size of the live site as visitors see it.
+   * physicalBytes counts every distinct blob referenced by any of the site's
+   * deployments once, which is what the site actually occupies on disk.
+   */
+  async getSiteUsage(userId, siteId) {
+    const logicalBytes = await this.getSiteSize(userId, siteId);
+    const inodes = new Map();
+    await this.collectInodes(path.join(this.deploymentsDir, userId, siteId), inodes);
+
+    let physicalBytes = 0;
+    for (const size of inodes.values()) {
+      physicalBytes += size;
+    }
+
+    return { logicalBytes, physicalBytes };
+  }
+
+  /**
+   * Collect unique file inodes (and their sizes) in a directory tree
+   */
+  async collectInodes(dirPath, inodes) {
+    let items;
+    try {
+      items = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      return inodes;
+    }
+
+    for (const item of items) {
+      const itemPath = path.join(dirPath, item.name);
+      if (item.isDirectory()) {
+        await this.collectInodes(itemPath, inodes);
+      } else if (item.isFile()) {
+        const stats = await fs.stat(itemPath);
+        inodes.set(`${stats.dev}:${stats.ino}`, stats.size);
+      }
+    }
+
+    return inodes;
+  }
+
   /**
    * Calculate directory size recursively
    */
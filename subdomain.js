@@ -1,8 +1,12 @@
 const express = require('express');
-const fs = require('fs');
+const fs = require('fs').promises;
 const path = require('path');
+const mime = require('mime-types');
 const { getDB } = require('./db');
 const { passwordProtectionMiddleware } = require('./password-protected');
+const { getCacheControl, contentEtag, fileEtag, encodedEtag, lastModified } = require('./http-cache');
+const { siteCompressor } = require('./compression');
+const { siteRules } = require('./site-rules');
 
 /**
  * Subdomain module for Tinny
@@ -11,12 +15,61 @@ const { passwordProtectionMiddleware } = require('./password-protected');
  * - Subdomain detection middleware
  * - Subdomain routing and content serving
  * - Database lookup for sites by subdomain
- * - File serving for uploaded content
+ * - File serving for uploaded content: streamed with HEAD and byte-range
+ *   support, ETag/Last-Modified validators, conditional requests, per-site
+ *   Cache-Control and brotli/gzip compression
+ * - Missing files: the site's own 404.html, or index.html for client-side
+ *   routes in single-page-app mode (sites.routing_mode)
+ * - Redirects, rewrites and custom headers from the deployment's _redirects
+ *   and _headers files (see site-rules.js), applied before the file lookup
+ * - Canonical page URLs: opt-in clean URLs (/about serves about.html,
+ *   /about.html redirects to /about; sites.clean_urls) and a trailing-slash
+ *   policy for pages (sites.trailing_slash)
  */
 
+// Preview hosts look like <previewId>--<subdomain>.<BASE_DOMAIN>
+const PREVIEW_HOST_PATTERN = /^([a-f0-9]{8})--([a-z0-9-]+)$/;
+const BASE_DOMAIN = process.env.BASE_DOMAIN || 'lvh.me';
+
+// Files are streamed by Express' sendFile (send), which answers HEAD, Range,
+// If-Range and conditional requests using the validators set beforehand
+const SEND_FILE_OPTIONS = {
+  etag: false,
+  lastModified: false,
+  cacheControl: false,
+  // Deployed paths were validated at upload; .well-known and the like are served
+  dotfiles: 'allow'
+};
+
+// Site routing modes: 'static' serves files as they are, 'spa' falls back to
+// index.html for paths that do not exist
+const ROUTING_MODES = ['static', 'spa'];
+
+// Trailing-slash policies for page URLs (directory indexes and clean URLs):
+// 'auto' adds the slash to directories only, so relative asset paths in their
+// index.html resolve inside the directory; 'always' and 'never' apply to every page
+const TRAILING_SLASH_POLICIES = ['auto', 'always', 'never'];
+
+// Served with a 404 status for missing paths when the site has one
+const NOT_FOUND_PAGE = '404.html';
+
+// Default text for the page shown once a site's expires_at has passed
+const EXPIRED_PAGE_MESSAGE = process.env.EXPIRED_PAGE_MESSAGE || 'This link has expired and is no longer available.';
+
+/**
+ * Public URL of a site, or of one of its previews
+ */
+function getSiteUrl(subdomain, previewId = null) {
+  const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
+  const port = process.env.NODE_ENV === 'production' ? '' : `:${process.env.PORT || 3000}`;
+  const host = previewId ? `${previewId}--${subdomain}` : subdomain;
+  return `${protocol}://${host}.${BASE_DOMAIN}${port}`;
+}
+
 /**
  * Subdomain Detection Middleware
- * Extracts subdomain from Host header and attaches to request
+ * Extracts subdomain from Host header and attaches to request.
+ * Preview hosts also set req.previewId.
  */
 function subdomainMiddleware(req, res, next) {
   const host = req.get('host') || '';
@@ -40,8 +93,16 @@ function subdomainMiddleware(req, res, next) {
     subdomain = subdomain.replace(/^\./, ''); // Remove leading dot
   }
 
+  req.previewId = null;
+
   if (subdomain && subdomain !== 'localhost' && subdomain !== 'lvh' && subdomain !== '') {
-    console.log(`[Subdomain Request] Host: ${host}, Subdomain: ${subdomain}`);
+    const previewMatch = subdomain.toLowerCase().match(PREVIEW_HOST_PATTERN);
+    if (previewMatch) {
+      req.previewId = previewMatch[1];
+      subdomain = previewMatch[2];
+    }
+
+    console.log(`[Subdomain Request] Host: ${host}, Subdomain: ${subdomain}${req.previewId ? `, Preview: ${req.previewId}` : ''}`);
     req.subdomain = subdomain;
   } else {
     req.subdomain = null;
@@ -64,7 +125,7 @@ function createSubdomainRouter() {
   /**
    * Handle all requests - Serve subdomain content
    */
-  router.use('/', (req, res) => {
+  router.use('/', async (req, res) => {
   const subdomain = req.subdomain;
 
   if (!subdomain) {
@@ -77,79 +138,107 @@ function createSubdomainRouter() {
   try {
     const db = getDB();
 
-    // Look up the site by subdomain
-    const site = db.get('SELECT * FROM sites WHERE subdomain = ? AND status = ?', [subdomain, 'active']);
+    // Look up the site by subdomain, or the preview deployment for preview hosts
+    let site;
+    let siteRoot;
+    if (req.previewId) {
+      site = db.get(
+        `SELECT s.*, d.id AS preview_deployment_id, d.created_at AS preview_created_at, d.site_rules FROM deployments d
+         JOIN sites s ON s.id = d.site_id
+         WHERE d.preview_id = ? AND s.subdomain = ? AND d.preview_expires_at > datetime('now')`,
+        [req.previewId, subdomain]
+      );
+      if (site) {
+        siteRoot = path.join(__dirname, 'deployments', site.owner_id, site.id, site.preview_deployment_id);
+        res.set('X-Robots-Tag', 'noindex, nofollow');
+      }
+    } else {
+      site = db.get(
+        `SELECT s.*, d.site_rules FROM sites s
+         LEFT JOIN deployments d ON d.id = s.active_deployment_id
+         WHERE s.subdomain = ? AND s.status = 'active'
+           AND (s.expires_at IS NULL OR s.expires_at > datetime('now'))`,
+        [subdomain]
+      );
+      if (site) {
+        siteRoot = path.join(__dirname, 'sites', site.owner_id, site.id);
+      } else {
+        const expiredSite = db.get(
+          `SELECT subdomain, expired_message FROM sites WHERE subdomain = ? AND expires_at <= datetime('now')`,
+          [subdomain]
+        );
+        if (expiredSite) {
+          console.log(`Site expired: ${subdomain}`);
+          return res.status(410).send(renderExpiredPage(expiredSite));
+        }
+      }
+    }
 
     if (site) {
       // Site found - determine the file to serve
-      let requestedFile = req.path === '/' ? 'index.html' : req.path.substring(1);
-      
-      // Prevent path traversal attacks
-      if (requestedFile.includes('../') || requestedFile.includes('..\\')) {
+      let pathname;
+      try {
+        pathname = decodeURIComponent(req.path);
+      } catch (error) {
         return res.status(400).send('Invalid file path');
       }
-      
-      const sitePath = path.join(__dirname, 'sites', site.owner_id, site.id, requestedFile);
-      console.log(`Looking for site file: ${sitePath}`);
-
-      if (fs.existsSync(sitePath)) {
-        const stats = fs.statSync(sitePath);
-        
-        if (stats.isFile()) {
-          // Determine content type based on file extension
-          const ext = path.extname(requestedFile).toLowerCase();
-          const contentTypes = {
-            '.html': 'text/html',
-            '.htm': 'text/html',
-            '.css': 'text/css',
-            '.js': 'application/javascript',
-            '.json': 'application/json',
-            '.txt': 'text/plain',
-            '.png': 'image/png',
-            '.jpg': 'image/jpeg',
-            '.jpeg': 'image/jpeg',
-            '.gif': 'image/gif',
-            '.svg': 'image/svg+xml',
-            '.ico': 'image/x-icon',
-            '.pdf': 'application/pdf',
-            '.zip': 'application/zip'
-          };
-          
-          const contentType = contentTypes[ext] || 'application/octet-stream';
-          res.set('Content-Type', contentType);
-          
-          // For text files, read as UTF-8, otherwise read as binary
-          if (contentType.startsWith('text/') || contentType.includes('json') || contentType.includes('javascript')) {
-            let content = fs.readFileSync(sitePath, 'utf8');
-            
-            // Auto-inject analytics script into HTML files
-            if (contentType === 'text/html') {
-              content = injectAnalyticsScript(content, site.subdomain, site.id);
-            }
-            
-            console.log(`Serving text content: ${requestedFile} for site: ${site.subdomain}`);
-            return res.send(content);
-          } else {
-            console.log(`Serving binary content: ${requestedFile} for site: ${site.subdomain}`);
-            return res.sendFile(sitePath);
-          }
-        } else if (stats.isDirectory() && requestedFile !== 'index.html') {
-          // Try to serve index.html in the directory
-          const indexPath = path.join(sitePath, 'index.html');
-          if (fs.existsSync(indexPath)) {
-            let htmlContent = fs.readFileSync(indexPath, 'utf8');
-            // Auto-inject analytics script
-            htmlContent = injectAnalyticsScript(htmlContent, site.subdomain, site.id);
-            console.log(`Serving directory index for: ${requestedFile}`);
-            return res.send(htmlContent);
-          }
+      let requestedFile = pathname === '/' ? 'index.html' : pathname.substring(1);
+
+      // Rules from _headers match the requested path, also when a rewrite serves another file
+      const rules = siteRules.load(req.previewId ? site.preview_deployment_id : site.active_deployment_id, site.site_rules);
+      const customHeaders = siteRules.getHeaders(rules, pathname);
+
+      // Password-protected and preview content must not be stored by shared caches
+      const cacheOptions = {
+        isPrivate: Boolean(req.previewId || site.password_enabled),
+        deployedAt: req.previewId ? site.preview_created_at : site.updated_at,
+        headers: customHeaders.headers,
+        cacheControl: customHeaders.cacheControl
+      };
+
+      let found = await findSiteFile(siteRoot, pathname, site);
+      if (found === false) {
+        return res.status(400).send('Invalid file path');
+      }
+
+      // Rules from _redirects; unless forced (status!), a file at the path wins
+      const redirect = siteRules.findRedirect(rules, pathname);
+      let rewritten = false;
+      if (redirect && (redirect.force || !found)) {
+        if (![200, 404].includes(redirect.status)) {
+          console.log(`Redirecting ${pathname} to ${redirect.target} (_redirects line ${redirect.line})`);
+          return sendRedirect(req, res, redirect.status, redirect.target, customHeaders.headers);
         }
-      } else {
-        console.log(`Site file not found: ${sitePath}`);
-        // For files other than index.html, return 404
-        if (requestedFile !== 'index.html') {
-          return res.status(404).send('File not found');
+
+        // Rewrite: serve the target's file under the requested URL
+        console.log(`Rewriting ${pathname} to ${redirect.target} (_redirects line ${redirect.line})`);
+        const targetPath = decodeRulePath(redirect.target.split('?')[0]);
+        requestedFile = targetPath === '/' ? 'index.html' : targetPath.substring(1);
+        found = await findSiteFile(siteRoot, targetPath, site);
+        if (found === false) {
+          return res.status(400).send('Invalid file path');
+        }
+        rewritten = true;
+        if (redirect.status === 404) {
+          res.status(404);
+        }
+      }
+
+      if (found) {
+        // Move pages to their canonical URL (clean URLs, trailing-slash policy)
+        if (!rewritten && found.canonicalPath !== pathname) {
+          return sendRedirect(req, res, 301, encodeUrlPath(found.canonicalPath), customHeaders.headers);
         }
+        return sendSiteFile(req, res, found.filePath, found.stats, { site, cacheOptions });
+      }
+
+      console.log(`Site file not found: ${requestedFile}`);
+      if (await sendMissingPage(req, res, siteRoot, requestedFile, { site, cacheOptions })) {
+        return;
+      }
+      // For files other than index.html, return 404
+      if (requestedFile !== 'index.html') {
+        return res.status(404).send('File not found');
       }
     }
 
@@ -214,6 +303,349 @@ function createSubdomainRouter() {
   return router;
 }
 
+/**
+ * Set the validators and Cache-Control for a site file
+ * @param {Object} cacheOptions - { isPrivate, deployedAt, headers, cacheControl }
+ * @param {string} etag - ETag of the body that will be sent
+ */
+function setCacheHeaders(res, site, filePath, stats, cacheOptions, etag) {
+  res.set({
+    'ETag': etag,
+    'Last-Modified': lastModified(stats, cacheOptions.deployedAt),
+    'Cache-Control': getCacheControl(site, filePath, cacheOptions.isPrivate, cacheOptions.cacheControl)
+  });
+}
+
+/**
+ * Find the file to serve for a URL path inside a site: the file itself, the
+ * index.html of a directory or, with clean URLs, the path's .html page.
+ * The rule files are never served.
+ * @param {string} urlPath - Decoded URL path, starting with /
+ * @param {Object} site - Site row (clean_urls, trailing_slash)
+ * @returns {Promise<Object|null|false>} - { filePath, stats, canonicalPath },
+ *   null if there is no such file, false if the path is invalid.
+ *   canonicalPath is the URL path the file should be served at.
+ */
+async function findSiteFile(siteRoot, urlPath, site) {
+  const relativePath = urlPath.substring(1).replace(/\/+$/, '');
+  const sitePath = path.join(siteRoot, relativePath);
+
+  // Prevent path traversal attacks (checked after decoding, so %2e%2e%2f is caught too)
+  if (relativePath.includes('../') || relativePath.includes('..\\') || relativePath.includes('\0') ||
+    (sitePath !== siteRoot && !sitePath.startsWith(siteRoot + path.sep))) {
+    return false;
+  }
+  if (siteRules.isRuleFile(relativePath)) {
+    return null;
+  }
+
+  const policy = site.trailing_slash || 'auto';
+  const stats = await statFile(sitePath);
+
+  // A file requested by name
+  if (stats && stats.isFile()) {
+    if (urlPath.endsWith('/')) {
+      return null;
+    }
+    const canonicalPath = site.clean_urls ? await getCleanUrl(siteRoot, relativePath, policy) : urlPath;
+    return { filePath: sitePath, stats, canonicalPath };
+  }
+
+  const findDirectoryIndex = async () => {
+    const indexPath = path.join(sitePath, 'index.html');
+    const indexStats = stats && stats.isDirectory() ? await statFile(indexPath) : null;
+    return indexStats && indexStats.isFile()
+      ? { filePath: indexPath, stats: indexStats, canonicalPath: getPageUrl(relativePath, policy, true) }
+      : null;
+  };
+  const findCleanPage = async () => {
+    const pagePath = `${sitePath}.html`;
+    const pageStats = site.clean_urls && relativePath ? await statFile(pagePath) : null;
+    return pageStats && pageStats.isFile()
+      ? { filePath: pagePath, stats: pageStats, canonicalPath: getPageUrl(relativePath, policy, false) }
+      : null;
+  };
+
+  // /about/ prefers about/index.html, /about prefers about.html
+  return urlPath.endsWith('/')
+    ? (await findDirectoryIndex()) || findCleanPage()
+    : (await findCleanPage()) || findDirectoryIndex();
+}
+
+/**
+ * URL path of a page under the trailing-slash policy
+ * @param {string} relativePath - Page path without slashes at either end ('' for the root)
+ * @param {boolean} isDirectory - Served from a directory's index.html
+ */
+function getPageUrl(relativePath, policy, isDirectory) {
+  if (!relativePath) {
+    return '/';
+  }
+  const slash = policy === 'always' || (policy === 'auto' && isDirectory);
+  return `/${relativePath}${slash ? '/' : ''}`;
+}
+
+/**
+ * Clean URL for a file requested by name: index.html moves to its directory,
+ * other .html pages lose the extension, unless something else already lives
+ * at that URL. Other files keep their path.
+ */
+async function getCleanUrl(siteRoot, relativePath, policy) {
+  if (!relativePath.endsWith('.html')) {
+    return `/${relativePath}`;
+  }
+  if (path.posix.basename(relativePath) === 'index.html') {
+    const directory = path.posix.dirname(relativePath);
+    return getPageUrl(directory === '.' ? '' : directory, policy, true);
+  }
+
+  const pagePath = relativePath.slice(0, -'.html'.length);
+  if (await statFile(path.join(siteRoot, pagePath))) {
+    return `/${relativePath}`;
+  }
+  return getPageUrl(pagePath, policy, false);
+}
+
+/**
+ * Redirect, carrying the site's custom headers and the request's query string
+ */
+function sendRedirect(req, res, status, target, headers) {
+  res.set(headers);
+  return res.redirect(status, withQueryString(target, req.originalUrl));
+}
+
+/**
+ * Percent-encode a decoded URL path for a Location header
+ * Leading slashes are collapsed so the result can never read as //host.
+ */
+function encodeUrlPath(urlPath) {
+  return urlPath.replace(/^\/+/, '/').split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Decode a path from a rule target, keeping it as written if it is malformed
+ */
+function decodeRulePath(target) {
+  try {
+    return decodeURIComponent(target);
+  } catch (error) {
+    return target;
+  }
+}
+
+/**
+ * Carry the request's query string over to a redirect target without one
+ */
+function withQueryString(target, originalUrl) {
+  const queryIndex = originalUrl.indexOf('?');
+  if (queryIndex === -1 || target.includes('?')) {
+    return target;
+  }
+  return target + originalUrl.substring(queryIndex);
+}
+
+/**
+ * Stat a file, or null if it does not exist
+ */
+async function statFile(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Answer a path with no file: single-page apps get their index.html for page
+ * requests, other misses get the site's 404.html with a 404 status
+ * @returns {Promise<boolean>} - false if the site has neither page
+ */
+async function sendMissingPage(req, res, siteRoot, requestedFile, file) {
+  if (file.site.routing_mode === 'spa') {
+    // Whether a path with an extension falls back depends on the Accept header
+    if (path.extname(requestedFile)) {
+      res.vary('Accept');
+    }
+
+    const indexPath = path.join(siteRoot, 'index.html');
+    const indexStats = isPageRequest(req, requestedFile) ? await statFile(indexPath) : null;
+    if (indexStats && indexStats.isFile() && requestedFile !== 'index.html') {
+      console.log(`SPA fallback to index.html for: ${requestedFile}`);
+      await sendSiteFile(req, res, indexPath, indexStats, file);
+      return true;
+    }
+  }
+
+  const notFoundPath = path.join(siteRoot, NOT_FOUND_PAGE);
+  const notFoundStats = await statFile(notFoundPath);
+  if (notFoundStats && notFoundStats.isFile()) {
+    res.status(404);
+    await sendSiteFile(req, res, notFoundPath, notFoundStats, file);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Whether a missing path is a client-side route rather than an asset:
+ * a GET without a file extension, or one whose Accept header asks for HTML
+ * (browser navigation, e.g. /users/jane.doe). A missing /app.js stays a 404.
+ */
+function isPageRequest(req, requestedFile) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return false;
+  }
+  if (!path.extname(requestedFile)) {
+    return true;
+  }
+  return (req.get('Accept') || '').includes('text/html');
+}
+
+/**
+ * Send one file of a site
+ * HTML is read to inject the analytics script; other files are streamed as
+ * stored, from a precompressed sibling when there is one. Small text assets
+ * without one are compressed on the fly.
+ * @param {Object} options - { site, cacheOptions }
+ */
+async function sendSiteFile(req, res, filePath, stats, { site, cacheOptions }) {
+  const mimeType = mime.lookup(filePath) || 'application/octet-stream';
+  // The site's custom headers from _headers go first, so the type headers below always win
+  res.set(cacheOptions.headers);
+  res.set({
+    'Content-Type': mime.contentType(mimeType) || mimeType,
+    // Also set app-wide by helmet; site files are served by type, never sniffed
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (siteCompressor.isCompressible(filePath)) {
+    res.vary('Accept-Encoding');
+  }
+  const file = { site, filePath, stats, cacheOptions };
+
+  if (mimeType === 'text/html') {
+    const html = injectAnalyticsScript(await fs.readFile(filePath, 'utf8'), site.subdomain, site.id);
+    console.log(`Serving HTML content: ${filePath} for site: ${site.subdomain}`);
+    return sendContent(req, res, Buffer.from(html), file);
+  }
+
+  // Precompressed .br/.gz written at deploy time
+  const precompressed = await siteCompressor.findPrecompressed(req, filePath);
+  if (precompressed) {
+    res.set('Content-Encoding', precompressed.encoding);
+    return streamFile(req, res, precompressed.path, encodedEtag(fileEtag(stats), precompressed.encoding), file);
+  }
+
+  if (siteCompressor.negotiate(req, filePath, stats.size)) {
+    return sendContent(req, res, await fs.readFile(filePath), file);
+  }
+
+  return streamFile(req, res, filePath, fileEtag(stats), file);
+}
+
+/**
+ * Stream a file from disk with the given ETag
+ * @param {string} sendPath - File to send (the file itself or its precompressed sibling)
+ */
+function streamFile(req, res, sendPath, etag, { site, filePath, stats, cacheOptions }) {
+  setCacheHeaders(res, site, filePath, stats, cacheOptions, etag);
+  console.log(`Streaming ${sendPath} for site: ${site.subdomain}`);
+
+  return new Promise((resolve) => {
+    res.sendFile(sendPath, SEND_FILE_OPTIONS, (error) => {
+      // Aborted downloads also end up here, after the headers were sent
+      if (error && !res.headersSent) {
+        console.error(`Failed to send ${sendPath}:`, error.message);
+        res.status(error.status || 500).send(error.status === 404 ? 'File not found' : 'Internal Server Error');
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Send a body built in memory (text files, HTML with injected analytics),
+ * compressed when the client accepts it
+ * Validators cover the bytes sent; compressed results are cached by ETag.
+ * @param {Buffer} content - Uncompressed body
+ * @param {Object} file - { site, filePath, stats, cacheOptions }
+ */
+async function sendContent(req, res, content, { site, filePath, stats, cacheOptions }) {
+  const etag = contentEtag(content);
+  const encoding = siteCompressor.negotiate(req, filePath, content.length);
+
+  setCacheHeaders(res, site, filePath, stats, cacheOptions, encodedEtag(etag, encoding));
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  if (encoding) {
+    res.set('Content-Encoding', encoding);
+    return res.send(await siteCompressor.compress(content, encoding, etag));
+  }
+  return res.send(content);
+}
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the page shown for sites past their expiry time
+ * Uses the site's expired_message, falling back to EXPIRED_PAGE_MESSAGE
+ */
+function renderExpiredPage(site) {
+  const message = escapeHtml(site.expired_message || EXPIRED_PAGE_MESSAGE);
+
+  return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta name="robots" content="noindex">
+        <title>${escapeHtml(site.subdomain)} - Link Expired</title>
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            max-width: 800px;
+            margin: 4rem auto;
+            padding: 2rem;
+            text-align: center;
+            background: linear-gradient(135deg, #f3f4f6 0%, #e5e7eb 100%);
+            color: #374151;
+            border-radius: 10px;
+          }
+          h1 { font-size: 3rem; margin-bottom: 1rem; }
+          .message {
+            background: #fffbeb;
+            border: 1px solid #fde68a;
+            color: #92400e;
+            padding: 1rem;
+            border-radius: 0.5rem;
+            margin: 2rem 0;
+            white-space: pre-line;
+          }
+        </style>
+      </head>
+      <body>
+        <h1>⌛ Link Expired</h1>
+        <div class="message">${message}</div>
+      </body>
+      </html>
+    `;
+}
+
 /**
  * Inject analytics script into HTML content
  */
@@ -259,5 +691,8 @@ function injectAnalyticsScript(htmlContent, subdomain, siteId) {
 
 module.exports = {
   subdomainMiddleware,
-  createSubdomainRouter
+  createSubdomainRouter,
+  getSiteUrl,
+  ROUTING_MODES,
+  TRAILING_SLASH_POLICIES
 };
@@ -45,7 +45,8 @@ class TemplateHelper {
     
     for (const [key, value] of Object.entries(variables)) {
       const placeholder = `{{${key}}}`;
-      rendered = rendered.replace(new RegExp(placeholder, 'g'), value || '');
+      // Function replacement so "$" sequences in values are inserted literally
+      rendered = rendered.replace(new RegExp(placeholder, 'g'), () => value || '');
     }
 
     return rendered;
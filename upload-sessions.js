@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { storage } = require('./storage');
+const { getFileExtension, SINGLE_FILE_EXTENSIONS, INVALID_FILE_TYPE_MESSAGE } = require('./upload');
+
+/**
+ * Resumable upload sessions for Tinny
+ *
+ * Large files are sent in chunks instead of one multipart request:
+ * - create a session (file name and total size)
+ * - PUT chunks at byte offsets; a chunk can be re-sent at the same offset
+ * - query the session to find where to resume after a failure
+ * - pass the session ID to the normal upload routes, which process the
+ *   assembled file with uploadProcessor.processUpload
+ *
+ * Session state lives in tmp/ (upload-session-<id>.json plus the .part data
+ * file) so uploads survive a server restart. Stale sessions are removed after
+ * UPLOAD_SESSION_TTL_HOURS.
+ */
+
+// Largest file a session may hold (same as the multer limit for direct uploads)
+const MAX_UPLOAD_SESSION_BYTES = parseInt(process.env.MAX_UPLOAD_SESSION_BYTES) || 50 * 1024 * 1024; // 50MB
+// Largest chunk accepted per request
+const UPLOAD_CHUNK_BYTES = parseInt(process.env.UPLOAD_CHUNK_BYTES) || 5 * 1024 * 1024; // 5MB
+// Unfinished sessions are removed after this long without a chunk
+const UPLOAD_SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+
+const SESSION_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+class UploadSessionManager {
+  constructor() {
+    // Sessions with a chunk write in progress (one writer per session)
+    this.busy = new Set();
+  }
+
+  getStatePath(sessionId) {
+    return storage.getTempFilePath(`upload-session-${sessionId}.json`);
+  }
+
+  getDataPath(sessionId) {
+    return storage.getTempFilePath(`upload-session-${sessionId}.part`);
+  }
+
+  /**
+   * Load a session owned by userId
+   * @returns {Promise<Object|null>} - Session state, or null if missing or not owned
+   */
+  async getSession(sessionId, userId) {
+    if (!SESSION_ID_PATTERN.test(sessionId || '')) {
+      return null;
+    }
+
+    try {
+      const session = JSON.parse(await fs.readFile(this.getStatePath(sessionId), 'utf8'));
+      return session.userId === userId ? session : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async saveSession(session) {
+    session.updatedAt = new Date().toISOString();
+    await fs.writeFile(this.getStatePath(session.id), JSON.stringify(session));
+  }
+
+  /**
+   * Public view of a session
+   */
+  formatSession(session) {
+    return {
+      sessionId: session.id,
+      fileName: session.fileName,
+      size: session.size,
+      received: session.received,
+      complete: session.received === session.size,
+      chunkSize: UPLOAD_CHUNK_BYTES
+    };
+  }
+
+  /**
+   * Start a new upload session
+   * @param {string} userId - Uploading user
+   * @param {string} fileName - Original file name (used for type validation later)
+   * @param {number} size - Total file size in bytes
+   * @returns {Promise<Object>} - Formatted session
+   */
+  async createSession(userId, fileName, size) {
+    if (typeof fileName !== 'string' || !fileName.trim() || fileName.length > 255) {
+      throw new Error('A file name is required');
+    }
+
+    const ext = getFileExtension(fileName);
+    if (!SINGLE_FILE_EXTENSIONS.includes(ext)) {
+      throw new Error(INVALID_FILE_TYPE_MESSAGE);
+    }
+
+    if (!Number.isInteger(size) || size <= 0) {
+      throw new Error('File size must be a positive number of bytes');
+    }
+    if (size > MAX_UPLOAD_SESSION_BYTES) {
+      throw new Error(`File too large. Maximum size is ${MAX_UPLOAD_SESSION_BYTES} bytes`);
+    }
+
+    await storage.ensureDir(storage.tmpDir);
+
+    const session = {
+      id: crypto.randomBytes(16).toString('hex'),
+      userId,
+      fileName: fileName.trim(),
+      size,
+      received: 0,
+      createdAt: new Date().toISOString()
+    };
+
+    await fs.writeFile(this.getDataPath(session.id), '');
+    await this.saveSession(session);
+
+    console.log(`Upload session ${session.id} created: user=${userId}, file=${session.fileName}, size=${size}`);
+    return this.formatSession(session);
+  }
+
+  /**
+   * Write a chunk at a byte offset
+   * The offset may not skip ahead of the bytes received so far; re-sending an
+   * earlier offset (e.g. after a lost response) overwrites from that point.
+   * @returns {Promise<Object|null>} - Formatted session, or null if not found
+   */
+  async writeChunk(sessionId, userId, offset, chunk) {
+    const session = await this.getSession(sessionId, userId);
+    if (!session) {
+      return null;
+    }
+
+    if (!Number.isInteger(offset) || offset < 0 || offset > session.received) {
+      const error = new Error(`Invalid offset. Resume from byte ${session.received}`);
+      error.status = 409;
+      error.received = session.received;
+      throw error;
+    }
+    if (!chunk.length) {
+      throw new Error('Chunk is empty');
+    }
+    if (chunk.length > UPLOAD_CHUNK_BYTES) {
+      throw new Error(`Chunk too large. Maximum chunk size is ${UPLOAD_CHUNK_BYTES} bytes`);
+    }
+    if (offset + chunk.length > session.size) {
+      throw new Error('Chunk extends past the declared file size');
+    }
+
+    if (this.busy.has(sessionId)) {
+      const error = new Error('Another chunk for this upload is still being written');
+      error.status = 409;
+      error.received = session.received;
+      throw error;
+    }
+
+    this.busy.add(sessionId);
+    try {
+      const handle = await fs.open(this.getDataPath(sessionId), 'r+');
+      try {
+        await handle.write(chunk, 0, chunk.length, offset);
+        await handle.truncate(offset + chunk.length);
+      } finally {
+        await handle.close();
+      }
+
+      session.received = offset + chunk.length;
+      await this.saveSession(session);
+    } finally {
+      this.busy.delete(sessionId);
+    }
+
+    return this.formatSession(session);
+  }
+
+  /**
+   * Turn a complete session into a file object for uploadProcessor.processUpload
+   * The session is consumed: its data file is removed once the upload is processed.
+   * @returns {Promise<Object|null>} - { path, originalname, size }, or null if not found
+   */
+  async finalizeSession(sessionId, userId) {
+    const session = await this.getSession(sessionId, userId);
+    if (!session) {
+      return null;
+    }
+
+    if (session.received !== session.size) {
+      throw new Error(`Upload incomplete: received ${session.received} of ${session.size} bytes`);
+    }
+
+    await fs.rm(this.getStatePath(sessionId), { force: true });
+
+    console.log(`Upload session ${sessionId} finalized (${session.size} bytes)`);
+    return {
+      path: this.getDataPath(sessionId),
+      originalname: session.fileName,
+      size: session.size
+    };
+  }
+
+  /**
+   * Cancel a session and remove its data
+   * @returns {Promise<boolean>} - false if the session was not found
+   */
+  async deleteSession(sessionId, userId) {
+    const session = await this.getSession(sessionId, userId);
+    if (!session) {
+      return false;
+    }
+
+    await fs.rm(this.getStatePath(sessionId), { force: true });
+    await fs.rm(this.getDataPath(sessionId), { force: true });
+    return true;
+  }
+
+  /**
+   * Remove sessions that have not received a chunk within the TTL
+   * @returns {Promise<number>} - Number of sessions removed
+   */
+  async cleanupStaleSessions() {
+    const cutoff = Date.now() - UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000;
+    let removed = 0;
+
+    let entries;
+    try {
+      entries = await fs.readdir(storage.tmpDir);
+    } catch (error) {
+      return 0;
+    }
+
+    for (const entry of entries) {
+      const match = entry.match(/^upload-session-([a-f0-9]{32})\.(json|part)$/);
+      if (!match) {
+        continue;
+      }
+
+      const filePath = storage.getTempFilePath(entry);
+      try {
+        const { mtimeMs } = await fs.stat(filePath);
+        if (mtimeMs < cutoff) {
+          await fs.rm(filePath, { force: true });
+          if (match[2] === 'json') removed++;
+        }
+      } catch (error) {
+        console.warn(`Failed to cleanup upload session file ${entry}:`, error.message);
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`Removed ${removed} stale upload session(s)`);
+    }
+    return removed;
+  }
+}
+
+// Export singleton instance
+const uploadSessionManager = new UploadSessionManager();
+
+// Clean up stale sessions every hour
+setInterval(() => {
+  uploadSessionManager.cleanupStaleSessions().catch(error => {
+    console.error('Upload session cleanup error:', error);
+  });
+}, 60 * 60 * 1000).unref();
+
+module.exports = {
+  uploadSessionManager,
+  UploadSessionManager,
+  MAX_UPLOAD_SESSION_BYTES,
+  UPLOAD_CHUNK_BYTES,
+  UPLOAD_SESSION_TTL_HOURS
+};
@@ -1,17 +1,32 @@
 const sanitizeHtml = require('sanitize-html');
+const { Parser: HtmlParser } = require('htmlparser2');
 const yauzl = require('yauzl');
+const tar = require('tar-stream');
+const zlib = require('zlib');
+const { marked } = require('marked');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const { storage } = require('./storage');
+const { getDB } = require('./db');
+const { assetOptimizer } = require('./optimize');
+const { linkChecker } = require('./link-check');
+const { siteRules, SITE_RULE_FILES } = require('./site-rules');
+const { checkFileContent, TYPE_DESCRIPTIONS } = require('./content-sniff');
+const { renderTemplate } = require('./template');
 
 /**
  * Upload processing module for Tinny
  * 
- * Handles HTML sanitization, ZIP extraction, and file validation
+ * Handles HTML sanitization, ZIP and tar/tar.gz extraction, and file validation.
+ * PDF, image and Markdown uploads are stored next to a generated index.html
+ * viewer page (html/viewer.html).
+ * HTML is sanitized with the site's profile (SANITIZE_PROFILES) and everything
+ * removed or changed is recorded in a SanitizeReport.
+ * Archives are checked against ARCHIVE_LIMITS while they are extracted.
  */
 
-// HTML sanitization options - very strict for security
+// HTML sanitization options - very strict for security ('strict' profile)
 const SANITIZE_OPTIONS = {
   allowedTags: [
     'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
@@ -55,20 +70,322 @@ const SANITIZE_OPTIONS = {
   }
 };
 
+// 'standard' profile - keeps inline styles, media and ARIA/data attributes;
+// scripts, event handlers and embedded frames/objects are still removed
+const STANDARD_SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...SANITIZE_OPTIONS.allowedTags,
+    'figure', 'figcaption', 'picture', 'source', 'video', 'audio', 'track',
+    'details', 'summary', 'dl', 'dt', 'dd', 'abbr', 'cite', 'q', 'time', 'kbd', 'samp', 'var',
+    'caption', 'colgroup', 'col', 'tfoot', 'fieldset', 'legend', 'optgroup', 'progress', 'meter'
+  ],
+  allowedAttributes: {
+    ...SANITIZE_OPTIONS.allowedAttributes,
+    '*': ['class', 'id', 'style', 'title', 'lang', 'dir', 'role', 'hidden', 'tabindex', 'data-*', 'aria-*'],
+    'a': ['href', 'title', 'target', 'rel', 'download'],
+    'img': ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'title', 'loading'],
+    'link': ['rel', 'href', 'type', 'media', 'sizes'],
+    'source': ['src', 'srcset', 'sizes', 'type', 'media'],
+    'video': ['src', 'poster', 'width', 'height', 'controls', 'autoplay', 'muted', 'loop', 'playsinline', 'preload'],
+    'audio': ['src', 'controls', 'autoplay', 'muted', 'loop', 'preload'],
+    'track': ['src', 'kind', 'srclang', 'label', 'default'],
+    'input': ['type', 'name', 'value', 'placeholder', 'required', 'checked', 'disabled', 'min', 'max', 'step', 'pattern'],
+    'button': ['type', 'name', 'value', 'disabled'],
+    'label': ['for'],
+    'details': ['open'],
+    'time': ['datetime'],
+    'col': ['span'],
+    'colgroup': ['span'],
+    'progress': ['value', 'max'],
+    'meter': ['value', 'min', 'max', 'low', 'high', 'optimum']
+  },
+  allowedSchemes: SANITIZE_OPTIONS.allowedSchemes,
+  allowedSchemesByTag: SANITIZE_OPTIONS.allowedSchemesByTag,
+  disallowedTagsMode: 'discard'
+};
+
+// Named sanitization profiles; 'trusted' skips sanitization and needs admin approval
+const SANITIZE_PROFILES = {
+  strict: SANITIZE_OPTIONS,
+  standard: STANDARD_SANITIZE_OPTIONS,
+  trusted: null
+};
+const DEFAULT_SANITIZE_PROFILE = 'strict';
+
+// Individual findings kept per report (the summary still counts all of them)
+const MAX_SANITIZE_REPORT_ISSUES = 200;
+
 // File validation constants
 const MAX_HTML_SIZE = parseInt(process.env.MAX_HTML_BYTES) || 5_000_000; // 5MB
 const MAX_ZIP_SIZE = parseInt(process.env.MAX_ZIP_BYTES) || 25_000_000; // 25MB
+const MAX_DOCUMENT_SIZE = parseInt(process.env.MAX_DOCUMENT_BYTES) || 25_000_000; // 25MB (PDFs, images)
 const ALLOWED_HTML_EXTENSIONS = ['.html', '.htm'];
 const ALLOWED_ZIP_EXTENSIONS = ['.zip'];
+const ALLOWED_TAR_EXTENSIONS = ['.tar', '.tar.gz', '.tgz'];
+const ALLOWED_PDF_EXTENSIONS = ['.pdf'];
+const ALLOWED_IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg'];
+const ALLOWED_MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
 
-// Allowed file types inside ZIP
+// Allowed file types inside ZIP and tar archives (and folder uploads)
 const ALLOWED_ZIP_CONTENT = [
   '.html', '.htm', '.css', '.js', '.json',
   '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp',
   '.woff', '.woff2', '.ttf', '.otf',
-  '.txt', '.md'
+  '.txt', '.md',
+  '.ico', '.webmanifest', '.vtt',
+  '.mp4', '.m4a', '.webm', '.mp3', '.ogg', '.wav'
 ];
 
+// Upload types and the file extensions each accepts
+const UPLOAD_TYPES = {
+  html: ALLOWED_HTML_EXTENSIONS,
+  zip: ALLOWED_ZIP_EXTENSIONS,
+  tar: ALLOWED_TAR_EXTENSIONS,
+  pdf: ALLOWED_PDF_EXTENSIONS,
+  image: ALLOWED_IMAGE_EXTENSIONS,
+  markdown: ALLOWED_MARKDOWN_EXTENSIONS,
+  // Several files with relative paths (a dragged folder), checked like archive entries
+  folder: ALLOWED_ZIP_CONTENT
+};
+
+// Extensions a single uploaded file may have (every type but folder)
+const SINGLE_FILE_EXTENSIONS = Object.entries(UPLOAD_TYPES)
+  .filter(([type]) => type !== 'folder')
+  .flatMap(([, extensions]) => extensions);
+const INVALID_FILE_TYPE_MESSAGE = `Invalid file type. Allowed: ${SINGLE_FILE_EXTENSIONS.join(', ')}`;
+
+// Archive abuse limits (zip bombs, huge entry counts, deep nesting)
+// Checked against declared sizes up front and enforced again while streaming.
+const ARCHIVE_LIMITS = {
+  maxEntries: parseInt(process.env.MAX_ARCHIVE_ENTRIES) || 2000,
+  maxUncompressedBytes: parseInt(process.env.MAX_ARCHIVE_UNCOMPRESSED_BYTES) || 200_000_000, // 200MB
+  maxCompressionRatio: parseInt(process.env.MAX_ARCHIVE_COMPRESSION_RATIO) || 100,
+  maxDepth: parseInt(process.env.MAX_ARCHIVE_DEPTH) || 10
+};
+
+// Compression ratio is only checked past this many uncompressed bytes, so tiny
+// highly-compressible text files are not rejected
+const RATIO_CHECK_MIN_BYTES = 1_000_000; // 1MB
+
+// OS metadata added when compressing a folder (skipped during extraction)
+const ARCHIVE_JUNK_PATTERN = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$)/;
+
+/**
+ * Get a file's extension, treating .tar.gz as a single extension
+ */
+function getFileExtension(fileName) {
+  const lowerName = fileName.toLowerCase();
+  return lowerName.endsWith('.tar.gz') ? '.tar.gz' : path.extname(lowerName);
+}
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Whether an admin has approved a user for the trusted (unsanitized) profile
+ */
+function isTrustedUser(userId) {
+  const db = getDB();
+  const user = db.get('SELECT trusted_html FROM users WHERE id = ?', [userId]);
+  return !!(user && user.trusted_html);
+}
+
+/**
+ * Sanitization profile to enforce for a site
+ * Sites on 'trusted' fall back to 'standard' once the owner's approval is revoked.
+ * @param {Object} site - Site row (sanitize_profile, owner_id)
+ * @returns {string} - Profile name
+ */
+function getSiteSanitizeProfile(site) {
+  const profile = Object.hasOwn(SANITIZE_PROFILES, site.sanitize_profile || '')
+    ? site.sanitize_profile
+    : DEFAULT_SANITIZE_PROFILE;
+
+  if (profile === 'trusted' && !isTrustedUser(site.owner_id)) {
+    return 'standard';
+  }
+  return profile;
+}
+
+/**
+ * Line number (1-based) of each opening tag in an HTML document, in source order
+ * Uses the same parser and options as sanitize-html so the order matches its onOpenTag calls.
+ */
+function getOpenTagLines(htmlContent) {
+  const lines = [];
+  let offset = 0;
+  let line = 1;
+
+  const parser = new HtmlParser({
+    onopentag() {
+      for (; offset < parser.startIndex; offset++) {
+        if (htmlContent.charCodeAt(offset) === 10) line++;
+      }
+      lines.push(line);
+    }
+  }, { decodeEntities: true });
+
+  parser.write(htmlContent);
+  parser.end();
+  return lines;
+}
+
+/**
+ * Whether sanitize-html options allow an attribute on a tag (including data-* style globs)
+ */
+function isAttributeAllowed(options, tagName, attribute) {
+  const allowed = [
+    ...(options.allowedAttributes[tagName] || []),
+    ...(options.allowedAttributes['*'] || [])
+  ];
+  return allowed.some(pattern => pattern === attribute ||
+    (pattern.endsWith('*') && attribute.startsWith(pattern.slice(0, -1))));
+}
+
+/**
+ * Collects what sanitization removed or changed across the HTML files of one upload
+ */
+class SanitizeReport {
+  constructor(profile) {
+    this.profile = profile;
+    this.total = 0;
+    this.issues = [];
+    this.counts = new Map();
+  }
+
+  /**
+   * Record one finding
+   * @param {Object} issue - { file, line, tag, attribute?, action: 'removed'|'replaced', replacement?, reason? }
+   */
+  add(issue) {
+    this.total++;
+    if (this.issues.length < MAX_SANITIZE_REPORT_ISSUES) {
+      this.issues.push(issue);
+    }
+
+    const key = [issue.action, issue.tag, issue.attribute || '', issue.replacement || ''].join('|');
+    const entry = this.counts.get(key) || {
+      action: issue.action,
+      tag: issue.tag,
+      attribute: issue.attribute || null,
+      replacement: issue.replacement || null,
+      count: 0,
+      files: new Set()
+    };
+    entry.count++;
+    entry.files.add(issue.file);
+    this.counts.set(key, entry);
+  }
+
+  toJSON() {
+    return {
+      profile: this.profile,
+      total: this.total,
+      truncated: this.total > this.issues.length,
+      summary: [...this.counts.values()]
+        .sort((a, b) => b.count - a.count)
+        .map(entry => ({ ...entry, files: [...entry.files] })),
+      issues: this.issues
+    };
+  }
+}
+
+/**
+ * Upload rejected for a specific, reportable reason (e.g. an archive limit)
+ * code and details are passed through to the API response for the dashboard.
+ */
+class UploadError extends Error {
+  constructor(message, code, details = {}, status = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.code = code;
+    this.details = details;
+    this.status = status;
+  }
+}
+
+/**
+ * Tracks entry count and uncompressed bytes while an archive is extracted
+ * and throws an UploadError as soon as any ARCHIVE_LIMITS value is exceeded.
+ */
+class ArchiveLimitTracker {
+  constructor(label) {
+    this.label = label;
+    this.entries = 0;
+    this.bytes = 0;
+  }
+
+  limitError(code, message, limit, actual) {
+    return new UploadError(`${this.label} ${message}`, code, { limit, actual }, 413);
+  }
+
+  /**
+   * Count a file entry and check its nesting depth
+   */
+  addEntry(normalizedPath) {
+    this.entries++;
+    if (this.entries > ARCHIVE_LIMITS.maxEntries) {
+      throw this.limitError('ARCHIVE_TOO_MANY_ENTRIES',
+        `contains more than ${ARCHIVE_LIMITS.maxEntries} files`,
+        ARCHIVE_LIMITS.maxEntries, this.entries);
+    }
+
+    const depth = normalizedPath.split(/[\\/]/).length - 1;
+    if (depth > ARCHIVE_LIMITS.maxDepth) {
+      throw this.limitError('ARCHIVE_TOO_DEEP',
+        `nests folders deeper than ${ARCHIVE_LIMITS.maxDepth} levels: ${normalizedPath}`,
+        ARCHIVE_LIMITS.maxDepth, depth);
+    }
+  }
+
+  /**
+   * Check sizes declared in an entry header before any data is extracted
+   */
+  checkDeclared(uncompressedSize, compressedSize) {
+    this.checkBytes(this.bytes + uncompressedSize);
+    if (compressedSize !== undefined) {
+      this.checkRatio(uncompressedSize, compressedSize);
+    }
+  }
+
+  /**
+   * Count bytes actually written; declared sizes can lie
+   */
+  addBytes(count) {
+    this.bytes += count;
+    this.checkBytes(this.bytes);
+  }
+
+  checkBytes(total) {
+    if (total > ARCHIVE_LIMITS.maxUncompressedBytes) {
+      throw this.limitError('ARCHIVE_TOO_LARGE',
+        `expands to more than ${ARCHIVE_LIMITS.maxUncompressedBytes} bytes`,
+        ARCHIVE_LIMITS.maxUncompressedBytes, total);
+    }
+  }
+
+  checkRatio(uncompressed, compressed) {
+    if (uncompressed < RATIO_CHECK_MIN_BYTES) {
+      return;
+    }
+    const ratio = uncompressed / Math.max(compressed, 1);
+    if (ratio > ARCHIVE_LIMITS.maxCompressionRatio) {
+      throw this.limitError('ARCHIVE_COMPRESSION_RATIO',
+        `has a suspicious compression ratio (over ${ARCHIVE_LIMITS.maxCompressionRatio}:1)`,
+        ARCHIVE_LIMITS.maxCompressionRatio, Math.round(ratio));
+    }
+  }
+}
+
 class UploadProcessor {
   /**
    * Validate file type and size
@@ -78,7 +395,7 @@ class UploadProcessor {
       throw new Error('No file provided');
     }
 
-    const ext = path.extname(file.originalname).toLowerCase();
+    const ext = getFileExtension(file.originalname);
     
     if (type === 'html') {
       if (!ALLOWED_HTML_EXTENSIONS.includes(ext)) {
@@ -94,19 +411,95 @@ class UploadProcessor {
       if (file.size > MAX_ZIP_SIZE) {
         throw new Error(`ZIP file too large. Maximum size is ${Math.round(MAX_ZIP_SIZE / 1024 / 1024)}MB`);
       }
+    } else if (type === 'tar') {
+      if (!ALLOWED_TAR_EXTENSIONS.includes(ext)) {
+        throw new Error(`Invalid file type. Expected ${ALLOWED_TAR_EXTENSIONS.join(', ')}, got ${ext}`);
+      }
+      if (file.size > MAX_ZIP_SIZE) {
+        throw new Error(`Tar archive too large. Maximum size is ${Math.round(MAX_ZIP_SIZE / 1024 / 1024)}MB`);
+      }
+    } else if (type === 'folder') {
+      // Paths, file types and totals are checked per file like archive entries
+      if (!Array.isArray(file.files) || file.files.length === 0) {
+        throw new Error('A folder upload must include at least one file');
+      }
+    } else if (type === 'pdf' || type === 'image' || type === 'markdown') {
+      if (!UPLOAD_TYPES[type].includes(ext)) {
+        throw new Error(`Invalid file type. Expected ${UPLOAD_TYPES[type].join(', ')}, got ${ext}`);
+      }
+      const maxSize = type === 'markdown' ? MAX_HTML_SIZE : MAX_DOCUMENT_SIZE;
+      if (file.size > maxSize) {
+        throw new Error(`File too large. Maximum size is ${Math.round(maxSize / 1024 / 1024)}MB`);
+      }
     } else {
-      throw new Error('Invalid upload type. Must be "html" or "zip"');
+      throw new Error(`Invalid upload type. Must be one of: ${Object.keys(UPLOAD_TYPES).join(', ')}`);
     }
 
     return true;
   }
 
   /**
-   * Sanitize HTML content
+   * Check that a file's leading bytes match the type its extension claims
+   * (see content-sniff.js); rejects e.g. an executable renamed to .png
+   * @param {string} filePath - File on disk
+   * @param {string} fileName - Name reported in the error (archive path or upload name)
+   * @throws {UploadError} FILE_TYPE_MISMATCH
    */
-  sanitizeHtml(htmlContent) {
+  async verifyFileContent(filePath, fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    const detected = await checkFileContent(filePath, ext);
+    if (detected) {
+      throw new UploadError(
+        `${fileName} was rejected: its content looks like ${TYPE_DESCRIPTIONS[detected]}, not a ${ext} file`,
+        'FILE_TYPE_MISMATCH',
+        { file: fileName, extension: ext, detected },
+        415
+      );
+    }
+  }
+
+  /**
+   * Sanitize HTML content with a named profile (see SANITIZE_PROFILES)
+   * @param {string} htmlContent - HTML to sanitize
+   * @param {string} [profile] - Profile name
+   * @param {Object} [options]
+   * @param {SanitizeReport} [options.report] - Collects removed/replaced tags and attributes
+   * @param {string} [options.fileName] - File name recorded with each finding
+   * @param {boolean} [options.lines=true] - Record source line numbers
+   */
+  sanitizeHtml(htmlContent, profile = DEFAULT_SANITIZE_PROFILE, { report = null, fileName = 'index.html', lines = true } = {}) {
+    if (!Object.hasOwn(SANITIZE_PROFILES, profile)) {
+      throw new Error(`Unknown sanitization profile: ${profile}`);
+    }
+    if (profile === 'trusted') {
+      return htmlContent;
+    }
+
+    const profileOptions = SANITIZE_PROFILES[profile];
+
     try {
-      return sanitizeHtml(htmlContent, SANITIZE_OPTIONS);
+      if (!report) {
+        return sanitizeHtml(htmlContent, profileOptions);
+      }
+
+      // sanitize-html deletes rejected attributes from the attribs object it
+      // passes to onOpenTag, so keep the original names to compare afterwards
+      const tagLines = lines ? getOpenTagLines(htmlContent) : [];
+      const openedTags = [];
+      const result = sanitizeHtml(htmlContent, {
+        ...profileOptions,
+        onOpenTag: (tagName, attribs) => {
+          openedTags.push({
+            tagName,
+            attribs,
+            original: Object.keys(attribs),
+            line: tagLines[openedTags.length] || null
+          });
+        }
+      });
+
+      this.collectSanitizeIssues(openedTags, profileOptions, report, fileName);
+      return result;
     } catch (error) {
       console.error('HTML sanitization error:', error);
       throw new Error('Failed to sanitize HTML content');
@@ -114,21 +507,57 @@ class UploadProcessor {
   }
 
   /**
-   * Process single HTML file upload
+   * Compare the tags seen during sanitization with what the profile allows
+   * and add a finding for every removed/replaced tag and removed attribute
    */
-  async processHtmlUpload(file, userId, siteId) {
-    console.log(`Processing HTML upload for user ${userId}, site ${siteId}`);
+  collectSanitizeIssues(openedTags, profileOptions, report, fileName) {
+    const transforms = profileOptions.transformTags || {};
+
+    for (const { tagName, attribs, original, line } of openedTags) {
+      const transform = transforms[tagName];
+      const finalTag = typeof transform === 'string' ? transform : tagName;
+
+      if (!profileOptions.allowedTags.includes(finalTag)) {
+        report.add({ file: fileName, line, tag: tagName, action: 'removed' });
+        continue;
+      }
+      if (finalTag !== tagName) {
+        report.add({ file: fileName, line, tag: tagName, action: 'replaced', replacement: finalTag });
+      }
+
+      for (const attribute of original) {
+        if (Object.hasOwn(attribs, attribute)) {
+          continue;
+        }
+        report.add({
+          file: fileName,
+          line,
+          tag: tagName,
+          attribute,
+          action: 'removed',
+          reason: isAttributeAllowed(profileOptions, finalTag, attribute) ? 'unsafe value' : 'not allowed'
+        });
+      }
+    }
+  }
+
+  /**
+   * Process single HTML file upload into a target (staging) directory
+   */
+  async processHtmlUpload(file, targetDir, profile, report) {
+    console.log(`Processing HTML upload into ${targetDir}`);
     
     // Read file content
     const htmlContent = await fs.readFile(file.path, 'utf8');
     
     // Sanitize HTML
-    const sanitizedHtml = this.sanitizeHtml(htmlContent);
+    const sanitizedHtml = this.sanitizeHtml(htmlContent, profile, { report, fileName: file.originalname });
     
     // Store the sanitized HTML
-    await storage.writeFile(userId, siteId, 'index.html', sanitizedHtml);
+    await fs.mkdir(targetDir, { recursive: true });
+    await fs.writeFile(path.join(targetDir, 'index.html'), sanitizedHtml);
     
-    console.log(`HTML file processed and stored for site ${siteId}`);
+    console.log(`HTML file processed and stored in ${targetDir}`);
     return {
       type: 'html',
       files: ['index.html'],
@@ -136,49 +565,175 @@ class UploadProcessor {
     };
   }
 
+  /**
+   * Make an uploaded file name safe to store and link to
+   */
+  getSafeFileName(originalName, fallback) {
+    const ext = path.extname(originalName).toLowerCase();
+    const base = path.basename(originalName, path.extname(originalName))
+      .replace(/[^A-Za-z0-9._-]+/g, '-')
+      .replace(/^[-.]+|-+$/g, '')
+      .slice(0, 100);
+    return `${base || fallback}${ext}`;
+  }
+
+  /**
+   * Process a PDF, image or Markdown upload: store the file and generate an
+   * index.html viewer page around it
+   */
+  async processDocumentUpload(file, type, targetDir, profile, report) {
+    console.log(`Processing ${type} upload into ${targetDir}`);
+
+    const fileName = this.getSafeFileName(file.originalname, type === 'markdown' ? 'document' : type);
+    const title = path.basename(file.originalname, path.extname(file.originalname)) || fileName;
+    let content;
+
+    if (type === 'markdown') {
+      const markdown = await fs.readFile(file.path, 'utf8');
+      // Findings refer to the rendered Markdown, so no source line numbers
+      content = this.sanitizeHtml(marked.parse(markdown), profile, { report, fileName, lines: false });
+    } else if (type === 'pdf') {
+      // An iframe rather than <object>, which the site CSP (object-src 'none') blocks
+      content = `    <iframe src="${fileName}" title="${escapeHtml(title)}"></iframe>`;
+    } else {
+      content = `    <img src="${fileName}" alt="${escapeHtml(title)}">`;
+    }
+
+    const viewerHtml = renderTemplate('viewer', {
+      TITLE: escapeHtml(title),
+      VIEWER_TYPE: type,
+      FILE_NAME: fileName,
+      CONTENT: content
+    });
+
+    await fs.mkdir(targetDir, { recursive: true });
+    await fs.copyFile(file.path, path.join(targetDir, fileName));
+    await fs.writeFile(path.join(targetDir, 'index.html'), viewerHtml);
+
+    const { size } = await fs.stat(file.path);
+    console.log(`${type} file processed: ${fileName} with viewer page`);
+    return {
+      type,
+      files: ['index.html', fileName],
+      size: size + Buffer.byteLength(viewerHtml, 'utf8')
+    };
+  }
+
+  /**
+   * Validate an archive entry's path and extension
+   * Throws on path traversal or file types not in ALLOWED_ZIP_CONTENT
+   * (_redirects and _headers, which have no extension, are allowed too)
+   */
+  validateArchiveEntry(fileName, archiveLabel) {
+    // Security check: prevent path traversal
+    const normalizedPath = path.normalize(fileName);
+    if (normalizedPath.includes('..') || path.isAbsolute(normalizedPath)) {
+      throw new Error(`Invalid file path in ${archiveLabel}: ${fileName}`);
+    }
+
+    // Check file extension
+    const ext = path.extname(fileName).toLowerCase();
+    if (!ALLOWED_ZIP_CONTENT.includes(ext) && !SITE_RULE_FILES.includes(path.basename(normalizedPath))) {
+      throw new Error(`Unsupported file type in ${archiveLabel}: ${fileName} (${ext})`);
+    }
+
+    return normalizedPath;
+  }
+
+  /**
+   * Find the directory inside an extracted archive that holds index.html
+   *
+   * Archives made by compressing a folder put every entry under one top-level
+   * directory (my-site/index.html, my-site/css/...). Single common root
+   * directories are stripped, repeatedly, until index.html is at the top.
+   * @param {string[]} files - Extracted file paths (forward slashes)
+   * @param {string} archiveLabel - 'ZIP file' or 'Tar archive' for error messages
+   * @returns {{root: string, files: string[]}} - Root directory ('' for none) and file paths relative to it
+   */
+  resolveArchiveRoot(files, archiveLabel) {
+    let root = '';
+    let relativeFiles = files;
+
+    while (!relativeFiles.some(file => file.toLowerCase() === 'index.html')) {
+      const topLevel = new Set(relativeFiles.map(file => file.split('/')[0]));
+      const [dir] = topLevel;
+
+      if (relativeFiles.length === 0 || topLevel.size !== 1 || !relativeFiles.every(file => file.startsWith(`${dir}/`))) {
+        const nested = files.filter(file => path.posix.basename(file).toLowerCase() === 'index.html');
+        if (nested.length > 0) {
+          throw new Error(`${archiveLabel} must contain an index.html file at its top level (or inside a single top-level folder); found only ${nested.slice(0, 3).join(', ')}`);
+        }
+        throw new Error(`${archiveLabel} must contain an index.html file`);
+      }
+
+      root = root ? `${root}/${dir}` : dir;
+      relativeFiles = relativeFiles.map(file => file.slice(dir.length + 1));
+    }
+
+    if (root) {
+      console.log(`Stripping top-level folder "${root}/" from ${archiveLabel}`);
+    }
+    return { root, files: relativeFiles };
+  }
+
   /**
    * Extract ZIP file and validate contents
+   * onProgress(extracted, total) is called after each file; total counts every
+   * entry in the central directory, including folders and skipped metadata
    */
-  async extractZip(zipPath, extractDir) {
+  async extractZip(zipPath, extractDir, onProgress = () => {}) {
     return new Promise((resolve, reject) => {
       const extractedFiles = [];
-      let hasIndexHtml = false;
+      const limits = new ArchiveLimitTracker('ZIP file');
+      let failed = false;
+      let zipfile = null;
+      let currentRead = null;
+      let currentWrite = null;
 
-      yauzl.open(zipPath, { lazyEntries: true }, (err, zipfile) => {
+      // Stop extracting and only reject once the partial output file is closed,
+      // so the caller can remove the extraction directory cleanly
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        if (currentRead) currentRead.unpipe().destroy();
+        if (zipfile) zipfile.close();
+        if (currentWrite && !currentWrite.closed) {
+          currentWrite.once('close', () => reject(error));
+          currentWrite.destroy();
+        } else {
+          reject(error);
+        }
+      };
+
+      yauzl.open(zipPath, { lazyEntries: true }, (err, openedZip) => {
         if (err) {
           return reject(new Error(`Failed to open ZIP file: ${err.message}`));
         }
 
+        zipfile = openedZip;
+        onProgress(0, zipfile.entryCount);
         zipfile.readEntry();
 
         zipfile.on('entry', (entry) => {
-          // Skip directories
-          if (/\/$/.test(entry.fileName)) {
+          // Skip directories and OS metadata
+          if (/\/$/.test(entry.fileName) || ARCHIVE_JUNK_PATTERN.test(entry.fileName)) {
             zipfile.readEntry();
             return;
           }
 
-          // Security check: prevent path traversal
-          const normalizedPath = path.normalize(entry.fileName);
-          if (normalizedPath.includes('..') || path.isAbsolute(normalizedPath)) {
-            return reject(new Error(`Invalid file path in ZIP: ${entry.fileName}`));
-          }
-
-          // Check file extension
-          const ext = path.extname(entry.fileName).toLowerCase();
-          if (!ALLOWED_ZIP_CONTENT.includes(ext)) {
-            return reject(new Error(`Unsupported file type in ZIP: ${entry.fileName} (${ext})`));
-          }
-
-          // Check for index.html
-          if (path.basename(entry.fileName).toLowerCase() === 'index.html') {
-            hasIndexHtml = true;
+          try {
+            const normalizedPath = this.validateArchiveEntry(entry.fileName, 'ZIP');
+            limits.addEntry(normalizedPath);
+            limits.checkDeclared(entry.uncompressedSize, entry.compressedSize);
+          } catch (error) {
+            return fail(error);
           }
 
           // Extract file
           zipfile.openReadStream(entry, (err, readStream) => {
+            if (failed) return;
             if (err) {
-              return reject(new Error(`Failed to read ${entry.fileName}: ${err.message}`));
+              return fail(new Error(`Failed to read ${entry.fileName}: ${err.message}`));
             }
 
             const outputPath = path.join(extractDir, entry.fileName);
@@ -188,18 +743,33 @@ class UploadProcessor {
             fsSync.mkdirSync(outputDir, { recursive: true });
 
             const writeStream = fsSync.createWriteStream(outputPath);
-            
-            readStream.on('end', () => {
+            let entryBytes = 0;
+            currentRead = readStream;
+            currentWrite = writeStream;
+
+            readStream.on('data', (chunk) => {
+              entryBytes += chunk.length;
+              try {
+                limits.addBytes(chunk.length);
+                limits.checkRatio(entryBytes, entry.compressedSize);
+              } catch (error) {
+                fail(error);
+              }
+            });
+
+            writeStream.on('finish', () => {
+              if (failed) return;
               extractedFiles.push(entry.fileName);
+              onProgress(extractedFiles.length, zipfile.entryCount);
               zipfile.readEntry();
             });
 
             readStream.on('error', (err) => {
-              reject(new Error(`Failed to extract ${entry.fileName}: ${err.message}`));
+              fail(new Error(`Failed to extract ${entry.fileName}: ${err.message}`));
             });
 
             writeStream.on('error', (err) => {
-              reject(new Error(`Failed to write ${entry.fileName}: ${err.message}`));
+              fail(new Error(`Failed to write ${entry.fileName}: ${err.message}`));
             });
 
             readStream.pipe(writeStream);
@@ -207,77 +777,304 @@ class UploadProcessor {
         });
 
         zipfile.on('end', () => {
-          if (!hasIndexHtml) {
-            return reject(new Error('ZIP file must contain an index.html file'));
+          if (failed) return;
+          try {
+            resolve(this.resolveArchiveRoot(extractedFiles, 'ZIP file'));
+          } catch (error) {
+            reject(error);
           }
-          
-          resolve({
-            files: extractedFiles,
-            hasIndexHtml
-          });
         });
 
         zipfile.on('error', (err) => {
-          reject(new Error(`ZIP processing error: ${err.message}`));
+          fail(new Error(`ZIP processing error: ${err.message}`));
         });
       });
     });
   }
 
   /**
-   * Process ZIP file upload
+   * Extract a tar or gzip-compressed tar file and validate contents
+   * Only regular files and directories are accepted; symlinks, hardlinks and
+   * device entries are rejected.
+   * onProgress(extracted, null) is called after each file; tar has no index,
+   * so the total is unknown until the end
    */
-  async processZipUpload(file, userId, siteId) {
-    console.log(`Processing ZIP upload for user ${userId}, site ${siteId}`);
+  async extractTar(tarPath, extractDir, onProgress = () => {}) {
+    // Detect gzip by its magic bytes rather than trusting the file name
+    const handle = await fs.open(tarPath, 'r');
+    const magic = Buffer.alloc(2);
+    await handle.read(magic, 0, 2, 0);
+    await handle.close();
+    const isGzip = magic[0] === 0x1f && magic[1] === 0x8b;
+
+    return new Promise((resolve, reject) => {
+      const extractedFiles = [];
+      const limits = new ArchiveLimitTracker('Tar archive');
+      let failed = false;
+      let inputBytes = 0;
+      let currentWrite = null;
+
+      const extract = tar.extract();
+      const input = fsSync.createReadStream(tarPath);
+
+      // Stop extracting and only reject once the partial output file is closed,
+      // so the caller can remove the extraction directory cleanly
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        input.destroy();
+        extract.destroy();
+        if (currentWrite && !currentWrite.closed) {
+          currentWrite.once('close', () => reject(error));
+          currentWrite.destroy();
+        } else {
+          reject(error);
+        }
+      };
+
+      input.on('data', (chunk) => {
+        inputBytes += chunk.length;
+      });
+
+      extract.on('entry', (header, stream, next) => {
+        const fileName = header.name;
+
+        // Skip directories and OS metadata
+        if (header.type === 'directory' || ARCHIVE_JUNK_PATTERN.test(fileName)) {
+          stream.resume();
+          return next();
+        }
+
+        if (header.type === 'symlink' || header.type === 'link') {
+          return fail(new Error(`Links are not allowed in tar archive: ${fileName}`));
+        }
+        if (header.type !== 'file' && header.type !== 'contiguous-file') {
+          return fail(new Error(`Unsupported entry type in tar archive: ${fileName} (${header.type})`));
+        }
+
+        let normalizedPath;
+        try {
+          normalizedPath = this.validateArchiveEntry(fileName, 'tar archive');
+          limits.addEntry(normalizedPath);
+          limits.checkDeclared(header.size || 0);
+        } catch (error) {
+          return fail(error);
+        }
+
+        const outputPath = path.join(extractDir, normalizedPath);
+        fsSync.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+        const writeStream = fsSync.createWriteStream(outputPath);
+        currentWrite = writeStream;
+
+        // tar has no per-entry compressed size, so the ratio is checked
+        // against the compressed input read so far (gzip only)
+        stream.on('data', (chunk) => {
+          try {
+            limits.addBytes(chunk.length);
+            if (isGzip) {
+              limits.checkRatio(limits.bytes, inputBytes);
+            }
+          } catch (error) {
+            fail(error);
+          }
+        });
+
+        writeStream.on('finish', () => {
+          if (failed) return;
+          extractedFiles.push(normalizedPath.split(path.sep).join('/'));
+          onProgress(extractedFiles.length, null);
+          next();
+        });
+
+        stream.on('error', (err) => {
+          fail(new Error(`Failed to extract ${fileName}: ${err.message}`));
+        });
+
+        writeStream.on('error', (err) => {
+          fail(new Error(`Failed to write ${fileName}: ${err.message}`));
+        });
+
+        stream.pipe(writeStream);
+      });
+
+      extract.on('finish', () => {
+        if (failed) return;
+        try {
+          resolve(this.resolveArchiveRoot(extractedFiles, 'Tar archive'));
+        } catch (error) {
+          fail(error);
+        }
+      });
+
+      extract.on('error', (err) => {
+        fail(new Error(`Tar processing error: ${err.message}`));
+      });
+
+      input.on('error', (err) => {
+        fail(new Error(`Failed to open tar archive: ${err.message}`));
+      });
+
+      if (isGzip) {
+        const gunzip = zlib.createGunzip();
+        gunzip.on('error', (err) => {
+          fail(new Error(`Failed to decompress tar archive: ${err.message}`));
+        });
+        input.pipe(gunzip).pipe(extract);
+      } else {
+        input.pipe(extract);
+      }
+    });
+  }
+
+  /**
+   * Move the files of a folder upload into extractDir at their relative paths
+   * Each path gets the same checks as an archive entry (traversal, allowed
+   * types, entry/size/depth limits); OS metadata files are skipped.
+   * @param {Object[]} files - { path, size, relativePath } per uploaded file
+   * @param {Function} [onProgress] - Called with (staged, total) after each file
+   * @returns {Promise<{root: string, files: string[]}>} - See resolveArchiveRoot
+   */
+  async stageFolderFiles(files, extractDir, onProgress = () => {}) {
+    const limits = new ArchiveLimitTracker('Folder upload');
+    const stagedFiles = new Set();
+
+    for (const [index, upload] of files.entries()) {
+      const relativePath = String(upload.relativePath || '').replace(/\\/g, '/').replace(/^\/+/, '');
+      if (!relativePath || ARCHIVE_JUNK_PATTERN.test(relativePath)) {
+        continue;
+      }
+
+      const normalizedPath = this.validateArchiveEntry(relativePath, 'folder upload');
+      const sitePath = normalizedPath.split(path.sep).join('/');
+      if (stagedFiles.has(sitePath)) {
+        throw new Error(`Invalid file path in folder upload: ${relativePath} was sent twice`);
+      }
+      limits.addEntry(normalizedPath);
+      limits.addBytes(upload.size);
+
+      const outputPath = path.join(extractDir, normalizedPath);
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.rename(upload.path, outputPath);
+
+      stagedFiles.add(sitePath);
+      onProgress(index + 1, files.length);
+    }
+
+    return this.resolveArchiveRoot([...stagedFiles], 'Folder upload');
+  }
+
+  /**
+   * Process ZIP file upload into a target (staging) directory
+   */
+  async processZipUpload(file, targetDir, options) {
+    return this.processArchiveUpload(file, targetDir, 'zip', options);
+  }
+
+  /**
+   * Process tar/tar.gz file upload into a target (staging) directory
+   */
+  async processTarUpload(file, targetDir, options) {
+    return this.processArchiveUpload(file, targetDir, 'tar', options);
+  }
+
+  /**
+   * Extract an archive (or stage a folder upload), sanitize its HTML files and
+   * write everything to targetDir
+   * @param {Object} options
+   * @param {string} options.profile - Sanitization profile
+   * @param {SanitizeReport} options.report - Collects what sanitization removed
+   * @param {boolean} [options.optimize] - Run the asset optimization step (see optimize.js)
+   * @param {boolean} [options.cleanUrls] - The site has clean URLs on (see link-check.js)
+   * @param {boolean} [options.spa] - The site is in single-page-app routing mode (see link-check.js)
+   * @param {Function} [options.onProgress] - Called with (stage, current, total) for the
+   *   'extracting', 'sanitizing' and 'optimizing' stages
+   */
+  async processArchiveUpload(file, targetDir, type, { profile, report, optimize = false, cleanUrls = false, spa = false, onProgress = () => {} }) {
+    console.log(`Processing ${type.toUpperCase()} upload into ${targetDir}`);
     
     // Create temporary extraction directory
-    const tempDir = storage.getTempFilePath(`extract_${siteId}_${Date.now()}`);
+    const tempDir = storage.getTempFilePath(`extract_${path.basename(targetDir)}_${Date.now()}`);
     await fs.mkdir(tempDir, { recursive: true });
 
     try {
-      // Extract ZIP
-      const extractResult = await this.extractZip(file.path, tempDir);
+      // Extract archive
+      const onExtract = (current, total) => onProgress('extracting', current, total);
+      let extractResult;
+      if (type === 'folder') {
+        extractResult = await this.stageFolderFiles(file.files, tempDir, onExtract);
+      } else if (type === 'tar') {
+        extractResult = await this.extractTar(file.path, tempDir, onExtract);
+      } else {
+        extractResult = await this.extractZip(file.path, tempDir, onExtract);
+      }
       
-      // Create site directory
-      const siteDir = await storage.createSiteDir(userId, siteId);
+      await fs.mkdir(targetDir, { recursive: true });
       
       // Process each extracted file
       const processedFiles = [];
       let totalSize = 0;
 
+      // Reject files whose content does not match their extension before anything is published
       for (const fileName of extractResult.files) {
-        const filePath = path.join(tempDir, fileName);
+        await this.verifyFileContent(path.join(tempDir, extractResult.root, fileName), fileName);
+      }
+
+      const { rules, report: ruleReport } = await siteRules.compileSite(path.join(tempDir, extractResult.root), extractResult.files);
+      // Check references in the files as uploaded, so line numbers match the author's source
+      const linkReport = await linkChecker.checkSite(path.join(tempDir, extractResult.root), extractResult.files, { cleanUrls, spa, rules });
+
+      // Files are copied relative to the archive root (single top-level folder stripped)
+      onProgress('sanitizing', 0, extractResult.files.length);
+      for (const fileName of extractResult.files) {
+        const filePath = path.join(tempDir, extractResult.root, fileName);
         const stats = await fs.stat(filePath);
         totalSize += stats.size;
 
         // If it's an HTML file, sanitize it
         if (path.extname(fileName).toLowerCase() === '.html' || path.extname(fileName).toLowerCase() === '.htm') {
           const htmlContent = await fs.readFile(filePath, 'utf8');
-          const sanitizedHtml = this.sanitizeHtml(htmlContent);
+          const sanitizedHtml = this.sanitizeHtml(htmlContent, profile, { report, fileName });
           
-          // Write sanitized HTML to site directory
-          const destPath = path.join(siteDir, fileName);
+          // Write sanitized HTML to target directory
+          const destPath = path.join(targetDir, fileName);
           const destDir = path.dirname(destPath);
           await fs.mkdir(destDir, { recursive: true });
           await fs.writeFile(destPath, sanitizedHtml);
         } else {
           // Copy non-HTML files as-is
-          const destPath = path.join(siteDir, fileName);
+          const destPath = path.join(targetDir, fileName);
           const destDir = path.dirname(destPath);
           await fs.mkdir(destDir, { recursive: true });
           await fs.copyFile(filePath, destPath);
         }
 
         processedFiles.push(fileName);
+        onProgress('sanitizing', processedFiles.length, extractResult.files.length);
+      }
+
+      // Optional build step; failures keep the original files
+      let optimization = null;
+      if (optimize) {
+        onProgress('optimizing', 0, processedFiles.length);
+        optimization = await assetOptimizer.optimizeDirectory(targetDir, processedFiles, (current, total) => {
+          onProgress('optimizing', current, total);
+        });
+        // The .gz/.br siblings are part of the deployment too
+        totalSize = optimization.after + optimization.compressedBytes;
       }
 
-      console.log(`ZIP file processed: ${processedFiles.length} files, ${totalSize} bytes`);
+      console.log(`${type.toUpperCase()} file processed: ${processedFiles.length} files, ${totalSize} bytes`);
       
       return {
-        type: 'zip',
+        type,
         files: processedFiles,
         size: totalSize,
-        hasIndexHtml: extractResult.hasIndexHtml
+        rootFolder: extractResult.root || null,
+        optimization,
+        linkReport,
+        siteRules: rules,
+        ruleReport
       };
 
     } finally {
@@ -292,21 +1089,79 @@ class UploadProcessor {
 
   /**
    * Process upload based on type
+   *
+   * Files are written to targetDir, normally a deployment staging directory,
+   * never to the live site directory. HTML is sanitized with
+   * options.sanitizeProfile (defaults to DEFAULT_SANITIZE_PROFILE) and the
+   * result includes a sanitizeReport of everything that was removed.
+   * options.onProgress(stage, current, total) receives the processing stages
+   * ('extracting', 'sanitizing', 'optimizing'; current/total are file counts or null).
+   * options.optimize runs the asset optimization step on archives; the result's
+   * optimization holds before/after byte counts (null when not run).
+   * Archives also get a linkReport of broken internal references (see link-check.js;
+   * options.cleanUrls and options.spa follow the site's routing settings),
+   * siteRules compiled from their _redirects and _headers files and a
+   * ruleReport of rule counts and syntax errors (see site-rules.js).
    */
-  async processUpload(file, type, userId, siteId) {
-    // Validate file
-    this.validateFile(file, type);
+  async processUpload(file, type, targetDir, options = {}) {
+    const profile = options.sanitizeProfile || DEFAULT_SANITIZE_PROFILE;
+    const onProgress = options.onProgress || (() => {});
+    const report = new SanitizeReport(profile);
+    const archiveOptions = {
+      profile,
+      report,
+      onProgress,
+      optimize: Boolean(options.optimize),
+      cleanUrls: Boolean(options.cleanUrls),
+      spa: Boolean(options.spa)
+    };
 
     try {
+      // Validate file
+      this.validateFile(file, type);
+      // Archive entries and folder files are checked one by one after extraction
+      if (type !== 'zip' && type !== 'tar' && type !== 'folder') {
+        await this.verifyFileContent(file.path, file.originalname);
+      }
+
+      let result;
       if (type === 'html') {
-        return await this.processHtmlUpload(file, userId, siteId);
+        onProgress('sanitizing', 0, 1);
+        result = await this.processHtmlUpload(file, targetDir, profile, report);
       } else if (type === 'zip') {
-        return await this.processZipUpload(file, userId, siteId);
+        result = await this.processZipUpload(file, targetDir, archiveOptions);
+      } else if (type === 'tar') {
+        result = await this.processTarUpload(file, targetDir, archiveOptions);
+      } else if (type === 'folder') {
+        result = await this.processArchiveUpload(file, targetDir, 'folder', archiveOptions);
+      } else if (type === 'pdf' || type === 'image' || type === 'markdown') {
+        onProgress('sanitizing', 0, 1);
+        result = await this.processDocumentUpload(file, type, targetDir, profile, report);
       } else {
         throw new Error('Invalid upload type');
       }
+
+      if (report.total > 0) {
+        console.log(`Sanitization (${profile}) removed or changed ${report.total} item(s)`);
+      }
+      return { optimization: null, linkReport: null, siteRules: null, ruleReport: null, ...result, sanitizeReport: report.toJSON() };
     } finally {
       // Always clean up the uploaded file
+      await this.cleanupUpload(file);
+    }
+  }
+
+  /**
+   * Remove an upload's temp file, or every file of a folder upload
+   * (files already moved into the extraction directory are gone)
+   */
+  async cleanupUpload(file) {
+    if (!file) {
+      return;
+    }
+    if (Array.isArray(file.files)) {
+      await Promise.all(file.files.map(upload => fs.rm(upload.path, { force: true })));
+    } else if (file.path) {
       await storage.cleanupTempFile(file.path);
     }
   }
@@ -318,7 +1173,18 @@ const uploadProcessor = new UploadProcessor();
 module.exports = {
   uploadProcessor,
   UploadProcessor,
+  UploadError,
+  SanitizeReport,
   SANITIZE_OPTIONS,
+  SANITIZE_PROFILES,
+  DEFAULT_SANITIZE_PROFILE,
+  getSiteSanitizeProfile,
+  isTrustedUser,
+  ARCHIVE_LIMITS,
+  getFileExtension,
+  UPLOAD_TYPES,
+  SINGLE_FILE_EXTENSIONS,
+  INVALID_FILE_TYPE_MESSAGE,
   MAX_HTML_SIZE,
   MAX_ZIP_SIZE
 };
\ No newline at end of file